@@ -15,167 +15,649 @@
  * @example node scripts/format-chat-session.js prompts/session.md prompts/session-formatted.md
  */
 
-import { basename } from 'path';
+import { basename, dirname, join, relative, sep } from 'path';
 import { TEXTS } from './lib/constants.js';
+import { format, normalizeFormat } from './lib/format.js';
 import {
-  isAlreadyProcessed,
-  extractProjectRoot,
-  extractUserIdentifier,
-  parseContent,
-  mergeSections,
-} from './lib/parsers.js';
-import { formatSection, generateFrontmatter } from './lib/formatters.js';
+  SmypError,
+  UserIdentifierNotFoundError,
+  AlreadyProcessedError,
+  ConfigurationError,
+} from './lib/errors.js';
+import { loadRedactionRules } from './lib/redaction.js';
 import {
-  compose,
-  ensureMarkdownSpacing,
-  removeTrailingSpaces,
-  cleanExcessiveLineBreaks,
-} from './lib/transformers.js';
-import { readStdin, isStdinPiped, safeReadFile, safeWriteFile } from './lib/io.js';
+  readStdin,
+  isStdinPiped,
+  safeReadFile,
+  safeWriteFile,
+  ensureDirectory,
+  getModifiedDate,
+} from './lib/io.js';
+import { resolveProfile } from './lib/profiles.js';
+import { parseArgs } from './lib/cli.js';
+import {
+  hasGlobPattern,
+  isDirectory,
+  expandInputs,
+  defaultOutputPath,
+  commonDirectory,
+  runBatch,
+  generateIndex,
+} from './lib/batch.js';
+import { watchSessions } from './lib/watch.js';
+import { resolveConfig } from './lib/config.js';
+import { detectLocale, setLocale } from './lib/i18n.js';
+import { resolveTemplates } from './lib/templates.js';
+import { computeSessionStats, renderStatsReport } from './lib/stats.js';
+import { parseSplitStrategy } from './lib/split.js';
+import { parseLineLimit } from './lib/terminal.js';
+import { mergeSessions } from './lib/merge.js';
+import {
+  extractPrompts,
+  dedupePrompts,
+  renderPromptCatalog,
+  normalizeCatalogFormat,
+  PROMPT_CATALOG_FORMATS,
+} from './lib/prompts.js';
+import { buildDataset, renderDataset, parseDatasetRecords } from './lib/dataset.js';
+import { checkFile, runCheck } from './lib/check.js';
+import { unifiedDiff } from './lib/diff.js';
 
 // ============================================================================
 // MAIN FUNCTION
 // ============================================================================
 
 /**
- * Processes raw chat session content into formatted markdown
- * @param {string} content - Raw content to process
+ * Formats a chat session file
  * @param {object} options - Processing options
+ * @param {string} options.inputFile - Input file path
+ * @param {string} [options.outputFile] - Output file path
  * @param {boolean} [options.force=false] - Force reprocessing even if already processed
- * @param {boolean} [options.silent=false] - Suppress console output
- * @param {string} [options.inputFile='stdin'] - Input file name for metadata
- * @returns {string} Formatted content
+ * @param {string} [options.format='markdown'] - Output format
+ * @param {object} [options.formatOptions] - Other `format()` options (profile, redaction, configuration...)
  */
-const processContent = (content, { force = false, silent = false, inputFile = 'stdin' } = {}) => {
-  const log = silent ? () => {} : console.log;
-  const logError = silent ? () => {} : console.error;
+const formatChatSession = ({
+  inputFile,
+  outputFile,
+  force = false,
+  format: outputFormat = 'markdown',
+  formatOptions = {},
+}) => {
+  try {
+    // Read file
+    const content = safeReadFile(inputFile);
+    const output = outputFile || defaultOutputPath(inputFile, outputFormat);
 
-  // Check if already processed
-  if (isAlreadyProcessed(content) && !force) {
-    log(TEXTS.ALREADY_PROCESSED);
-    return content;
+    // Process content
+    const { output: formattedContent, parts = [] } = format(content, {
+      ...formatOptions,
+      force,
+      inputFile,
+      format: outputFormat,
+      outputFile: output,
+      splitName: basename(output),
+      logger: console,
+    });
+
+    // Write (parts of a split session go next to their index)
+    for (const part of parts) {
+      const partFile = join(dirname(output), part.file);
+      safeWriteFile(partFile, part.output);
+      console.log(`${TEXTS.PART_SAVED} ${partFile}`);
+    }
+    safeWriteFile(output, formattedContent);
+    console.log(`${TEXTS.FILE_SAVED} ${output}`);
+  } catch (error) {
+    // Detection errors carry a complete user-facing message
+    const standalone = error instanceof UserIdentifierNotFoundError ||
+                       error instanceof AlreadyProcessedError;
+    console.error(standalone ? error.message : `${TEXTS.ERROR_PROCESSING} ${error.message}`);
+    if (!(error instanceof SmypError) && error.stack) {
+      console.error('Stack trace:', error.stack);
+    }
+    process.exit(1);
   }
+};
 
-  // If force and already processed, remove existing frontmatter
-  if (isAlreadyProcessed(content) && force) {
-    content = content.replace(/^---[\s\S]*?---\n\n/, '');
-    log('🔄 Forced reprocessing: existing frontmatter removed.');
+/**
+ * Formats many chat session files, reporting each one without aborting
+ * @param {object} options - Processing options
+ * @param {Array<string>} options.inputs - Files, directories or glob patterns (for messages)
+ * @param {Array<string>} options.files - Files expanded from the inputs
+ * @param {string} [options.outDir] - Output directory (files are formatted in place if omitted)
+ * @param {boolean} [options.index=true] - Write index.md (in the output directory or the inputs' common directory)
+ * @param {boolean} [options.force=false] - Reprocess already formatted files
+ * @param {string} [options.format='markdown'] - Output format
+ * @param {object} [options.formatOptions] - Other `format()` options (profile, redaction, configuration...)
+ */
+const formatBatch = ({
+  inputs,
+  files,
+  outDir,
+  index = true,
+  force = false,
+  format: outputFormat = 'markdown',
+  formatOptions = {},
+}) => {
+  if (files.length === 0) {
+    console.error(`❌ ${TEXTS.NO_INPUT_MATCH} ${inputs.join(' ')}`);
+    process.exit(1);
   }
 
-  // Extract root path
-  const projectRoot = extractProjectRoot(content);
-  log(`${TEXTS.DETECTED_PROJECT_ROOT} ${projectRoot || 'None'}`);
+  const results = runBatch(files, {
+    outDir,
+    format: outputFormat,
+    force,
+    logger: console,
+    formatOptions,
+  });
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  const failed = count('failed');
+  console.log(
+    `\n${TEXTS.BATCH_SUMMARY} ${count('formatted')} ${TEXTS.COUNT_FORMATTED}, ` +
+    `${count('skipped')} ${TEXTS.COUNT_SKIPPED}, ${failed} ${TEXTS.COUNT_FAILED}`
+  );
 
-  // Extract user identifier
-  const userIdentifier = extractUserIdentifier(content);
-  if (!userIdentifier) {
-    logError(TEXTS.NO_USER_ID);
-    if (!silent) process.exit(1);
-    return null;
+  if (index) {
+    const indexDir = outDir || relative('.', commonDirectory(files)) || '.';
+    const indexFile = join(indexDir, 'index.md');
+    try {
+      ensureDirectory(indexDir);
+      safeWriteFile(indexFile, generateIndex(results, indexDir));
+      console.log(`${TEXTS.INDEX_SAVED} ${indexFile}`);
+    } catch (error) {
+      console.error(`${TEXTS.ERROR_PROCESSING} ${error.message}`);
+      process.exit(1);
+    }
   }
-  log(`${TEXTS.DETECTED_USER_ID} ${userIdentifier}`);
 
-  // Parse content
-  log(TEXTS.ANALYZING_CONTENT);
-  let sections = parseContent(content, userIdentifier);
-  log(`   ${TEXTS.FOUND_SECTIONS} ${sections.length} ${TEXTS.SECTIONS_RAW}`);
+  process.exit(failed > 0 ? 1 : 0);
+};
 
-  // Merge consecutive sections
-  sections = mergeSections(sections);
-  log(`   ${TEXTS.AFTER_MERGE} ${sections.length} ${TEXTS.SECTIONS}`);
+/**
+ * Prints usage statistics of raw chat sessions, reporting failing files without aborting
+ * @param {object} options - Statistics options
+ * @param {Array<string>} options.inputs - Files, directories or glob patterns (stdin if empty)
+ * @param {Array<string>} options.files - Files expanded from the inputs
+ * @param {boolean} [options.json=false] - Print JSON (an object for one file, an array otherwise)
+ * @param {object} [options.formatOptions] - Analysis options (profile, configuration, project roots...)
+ */
+const showStats = async ({ inputs, files, json = false, formatOptions = {} }) => {
+  const fromStdin = inputs.length === 0 && isStdinPiped();
+  if (!fromStdin && inputs.length === 0) {
+    console.error(TEXTS.CLI_STATS_USAGE.trim());
+    process.exit(1);
+  }
+  if (!fromStdin && files.length === 0) {
+    console.error(`❌ ${TEXTS.NO_INPUT_MATCH} ${inputs.join(' ')}`);
+    process.exit(1);
+  }
 
-  // Statistics
-  const stats = {
-    userPrompts: sections.filter(s => s.type === 'user-prompt').length,
-    agentResponses: sections.filter(s => s.type === 'agent-response').length,
-    agentActions: sections.filter(s => s.type === 'agent-action').length,
-  };
-  log(`   - ${stats.userPrompts} ${TEXTS.USER_PROMPTS}`);
-  log(`   - ${stats.agentResponses} ${TEXTS.AGENT_RESPONSES}`);
-  log(`   - ${stats.agentActions} ${TEXTS.ACTION_SEQUENCES}`);
-
-  // Formatting
-  log(TEXTS.FORMATTING_CONTENT);
-  const frontmatter = generateFrontmatter({
-    projectRoot,
-    inputFile: basename(inputFile),
-    processedDate: new Date().toISOString(),
-  });
+  const sources = fromStdin ? ['stdin'] : files;
+  const reports = [];
+  let failed = 0;
+
+  for (const inputFile of sources) {
+    try {
+      const content = fromStdin ? await readStdin() : safeReadFile(inputFile);
+      reports.push(computeSessionStats(content, { ...formatOptions, inputFile }));
+    } catch (error) {
+      failed++;
+      console.error(`${TEXTS.BATCH_FAILED} ${inputFile}: ${error.message.split('\n')[0].replace(/^❌\s*/, '')}`);
+    }
+  }
 
-  const formattedSections = sections
-    .map(section => formatSection(section, projectRoot))
-    .join('');
+  if (json) {
+    // A single plain file gives an object, several inputs an array
+    const single = fromStdin ||
+      (inputs.length === 1 && !hasGlobPattern(inputs[0]) && !isDirectory(inputs[0]));
+    const value = single ? reports[0] : reports;
+    if (value) console.log(JSON.stringify(value, null, 2));
+  } else if (reports.length > 0) {
+    console.log(reports.map(renderStatsReport).join('\n\n'));
+  }
 
-  let formattedContent = frontmatter + formattedSections;
+  process.exit(failed > 0 ? 1 : 0);
+};
 
-  // Apply Markdown linting rules
-  formattedContent = compose(
-    ensureMarkdownSpacing,
-    removeTrailingSpaces,
-    cleanExcessiveLineBreaks
-  )(formattedContent);
+/**
+ * Checks files without writing them: reports each one, prints the diff of
+ * what would be written when asked, and exits with code 1 on failures (and,
+ * with `check`, when a file is not formatted or would change)
+ * @param {object} options - Check options
+ * @param {Array<string>} options.inputs - Files, directories or glob patterns (for messages)
+ * @param {Array<string>} options.files - Files expanded from the inputs
+ * @param {string} [options.outputFile] - Output file of a single input
+ * @param {string} [options.outDir] - Batch mode output directory
+ * @param {boolean} [options.check=false] - Fail when a file would change
+ * @param {boolean} [options.diff=false] - Print unified diffs to stdout (reports go to stderr)
+ * @param {string} [options.format='markdown'] - Output format
+ * @param {object} [options.formatOptions] - Other `format()` options (profile, toc, split...)
+ */
+const checkFiles = ({
+  inputs,
+  files,
+  outputFile,
+  outDir,
+  check = false,
+  diff = false,
+  format: outputFormat = 'markdown',
+  formatOptions = {},
+}) => {
+  if (files.length === 0) {
+    console.error(`❌ ${TEXTS.NO_INPUT_MATCH} ${inputs.join(' ')}`);
+    process.exit(1);
+  }
 
-  return formattedContent;
+  const options = { format: outputFormat, formatOptions };
+  const results = files.length === 1 && !outDir
+    ? [checkFile(files[0], outputFile || defaultOutputPath(files[0], outputFormat), options)].filter(Boolean)
+    : runCheck(files, { ...options, outDir });
+
+  const report = diff ? console.error : console.log;
+  const labels = {
+    clean: TEXTS.CHECK_CLEAN,
+    unformatted: TEXTS.CHECK_UNFORMATTED,
+    changed: TEXTS.CHECK_CHANGED,
+    skipped: TEXTS.BATCH_SKIPPED,
+    unsupported: TEXTS.CHECK_UNSUPPORTED,
+  };
+  for (const { inputFile, status, changes, error } of results) {
+    if (status === 'failed') {
+      console.error(`${TEXTS.BATCH_FAILED} ${inputFile}: ${error.message.split('\n')[0].replace(/^❌\s*/, '')}`);
+      continue;
+    }
+    report(`${labels[status]} ${inputFile}`);
+    if (diff) {
+      changes.forEach(({ file, before, after }) => {
+        const path = relative('.', file).split(sep).join('/');
+        process.stdout.write(unifiedDiff(before, after, { fromFile: `a/${path}`, toFile: `b/${path}` }));
+      });
+    }
+  }
+
+  const count = (...statuses) => results.filter(result => statuses.includes(result.status)).length;
+  const pending = count('unformatted', 'changed');
+  const failed = count('failed');
+  report(`\n${TEXTS.CHECK_SUMMARY} ${count('clean')} ${TEXTS.COUNT_CLEAN}, ` +
+    `${pending} ${TEXTS.COUNT_PENDING}, ${failed} ${TEXTS.COUNT_FAILED}`);
+
+  process.exit(failed > 0 || (check && pending > 0) ? 1 : 0);
 };
 
 /**
- * Formats a chat session file
- * @param {object} options - Processing options
- * @param {string} options.inputFile - Input file path
- * @param {string} [options.outputFile] - Output file path
- * @param {boolean} [options.force=false] - Force reprocessing even if already processed
+ * Merges several chat session files into one document, written to a file or stdout
+ * @param {object} options - Merge options
+ * @param {Array<string>} options.inputs - Files, directories or glob patterns (for messages)
+ * @param {Array<string>} options.files - Files expanded from the inputs, in argument order
+ * @param {string} [options.outputFile] - Output file (stdout if omitted)
+ * @param {string} [options.order='date'] - Session order: date or args
+ * @param {string} [options.format='markdown'] - Output format
+ * @param {object} [options.formatOptions] - Other `mergeSessions()` options (profile, redaction, configuration...)
  */
-const formatChatSession = ({ inputFile, outputFile, force = false }) => {
-  try {
-    // Read file
-    const content = safeReadFile(inputFile);
+const mergeFiles = ({
+  inputs,
+  files,
+  outputFile,
+  order = 'date',
+  format: outputFormat = 'markdown',
+  formatOptions = {},
+}) => {
+  if (files.length === 0) {
+    console.error(inputs.length === 0
+      ? TEXTS.CLI_MERGE_USAGE.trim()
+      : `❌ ${TEXTS.NO_INPUT_MATCH} ${inputs.join(' ')}`);
+    process.exit(1);
+  }
 
-    // Process content
-    const formattedContent = processContent(content, {
-      force,
-      silent: false,
-      inputFile,
+  try {
+    if (formatOptions.split && !outputFile) {
+      throw new ConfigurationError(TEXTS.SPLIT_NEEDS_FILE);
+    }
+    const sessions = files.map(file => ({
+      name: basename(file),
+      content: safeReadFile(file),
+      date: getModifiedDate(file),
+    }));
+
+    // Without an output file, progress goes to stderr and the document to stdout
+    const { output, parts = [] } = mergeSessions(sessions, {
+      ...formatOptions,
+      order,
+      format: outputFormat,
+      name: outputFile ? basename(outputFile) : undefined,
+      logger: outputFile ? console : { log: () => {}, warn: message => console.error(message) },
     });
 
-    if (!formattedContent) {
-      process.exit(1);
+    if (!outputFile) {
+      process.stdout.write(output);
+      process.exit(0);
     }
-
-    // Write
-    const output = outputFile || inputFile;
-    safeWriteFile(output, formattedContent);
-    console.log(`${TEXTS.FILE_SAVED} ${output}`);
+    for (const part of parts) {
+      const partFile = join(dirname(outputFile), part.file);
+      safeWriteFile(partFile, part.output);
+      console.log(`${TEXTS.PART_SAVED} ${partFile}`);
+    }
+    safeWriteFile(outputFile, output);
+    console.log(`${TEXTS.FILE_SAVED} ${outputFile}`);
   } catch (error) {
-    console.error(`${TEXTS.ERROR_PROCESSING} ${error.message}`);
-    if (error.stack) {
+    const standalone = error instanceof UserIdentifierNotFoundError ||
+                       error instanceof AlreadyProcessedError;
+    console.error(standalone ? error.message : `${TEXTS.ERROR_PROCESSING} ${error.message}`);
+    if (!(error instanceof SmypError) && error.stack) {
       console.error('Stack trace:', error.stack);
     }
     process.exit(1);
   }
-};// ============================================================================
+};
+
+/**
+ * Exports records read from chat sessions (files, or stdin when no input
+ * is given) to a file or stdout, reporting failing files without aborting
+ * @param {object} options - Export options
+ * @param {Array<string>} options.inputs - Files, directories or glob patterns (stdin if empty)
+ * @param {Array<string>} options.files - Files expanded from the inputs, in argument order
+ * @param {string} [options.outputFile] - Output file (stdout if omitted)
+ * @param {string} options.usage - Usage line of the command
+ * @param {function(string, string): Array} options.extract - Extracts the records of a session (content, file)
+ * @param {function(Array): {output: string, summary: string}} options.render - Renders all the records
+ * @param {string} options.saved - Message of a written output file
+ */
+const exportRecords = async ({
+  inputs,
+  files,
+  outputFile,
+  usage,
+  extract,
+  render,
+  saved,
+}) => {
+  const fromStdin = inputs.length === 0 && isStdinPiped();
+  if (!fromStdin && inputs.length === 0) {
+    console.error(usage.trim());
+    process.exit(1);
+  }
+  if (!fromStdin && files.length === 0) {
+    console.error(`❌ ${TEXTS.NO_INPUT_MATCH} ${inputs.join(' ')}`);
+    process.exit(1);
+  }
+
+  const sources = fromStdin ? ['stdin'] : files;
+  const records = [];
+  let failed = 0;
+
+  for (const inputFile of sources) {
+    try {
+      const content = fromStdin ? await readStdin() : safeReadFile(inputFile);
+      records.push(...extract(content, inputFile));
+    } catch (error) {
+      failed++;
+      console.error(`${TEXTS.BATCH_FAILED} ${inputFile}: ${error.message.split('\n')[0].replace(/^❌\s*/, '')}`);
+    }
+  }
+
+  const { output, summary } = render(records);
+
+  // Without an output file, the summary goes to stderr and the records to stdout
+  const report = outputFile ? console.log : console.error;
+  try {
+    if (outputFile) {
+      safeWriteFile(outputFile, output);
+      console.log(`${saved} ${outputFile}`);
+    } else {
+      process.stdout.write(output);
+    }
+  } catch (error) {
+    console.error(`${TEXTS.ERROR_PROCESSING} ${error.message}`);
+    process.exit(1);
+  }
+  report(`${summary}, ${failed} ${TEXTS.COUNT_FAILED}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+/**
+ * Builds a prompt catalog from chat sessions, written to a file or stdout
+ * @param {object} options - Catalog options
+ * @param {Array<string>} options.inputs - Files, directories or glob patterns (stdin if empty)
+ * @param {Array<string>} options.files - Files expanded from the inputs, in argument order
+ * @param {string} [options.outputFile] - Output file (stdout if omitted)
+ * @param {string} [options.format='jsonl'] - Catalog format: jsonl or markdown
+ * @param {boolean} [options.dedupe=true] - Merge near-identical prompts
+ * @param {object} [options.formatOptions] - Analysis options (profile, configuration, redaction...)
+ */
+const buildPromptCatalog = ({
+  format: catalogFormat = 'jsonl',
+  dedupe = true,
+  formatOptions = {},
+  ...options
+}) => exportRecords({
+  ...options,
+  usage: TEXTS.CLI_PROMPTS_USAGE,
+  extract: (content, inputFile) => extractPrompts(content, { ...formatOptions, inputFile }),
+  render: (prompts) => {
+    const catalog = dedupe ? dedupePrompts(prompts) : prompts;
+    return {
+      output: renderPromptCatalog(catalog, catalogFormat),
+      summary: `${TEXTS.PROMPTS_SUMMARY} ${catalog.length} ${TEXTS.PROMPTS_COUNT}, ` +
+        `${prompts.length - catalog.length} ${TEXTS.PROMPTS_MERGED}`,
+    };
+  },
+  saved: TEXTS.PROMPTS_SAVED,
+});
+
+/**
+ * Exports chat sessions as a chat dataset (JSONL), written to a file or stdout
+ * @param {object} options - Dataset options
+ * @param {Array<string>} options.inputs - Files, directories or glob patterns (stdin if empty)
+ * @param {Array<string>} options.files - Files expanded from the inputs, in argument order
+ * @param {string} [options.outputFile] - Output file (stdout if omitted)
+ * @param {object} [options.datasetOptions] - `buildDataset()` options (records, actions, commands)
+ * @param {object} [options.formatOptions] - Analysis options (profile, configuration, redaction...)
+ */
+const exportDataset = ({ datasetOptions = {}, formatOptions = {}, ...options }) => exportRecords({
+  ...options,
+  usage: TEXTS.CLI_DATASET_USAGE,
+  extract: (content) => buildDataset(content, { ...formatOptions, ...datasetOptions }),
+  render: (records) => ({
+    output: renderDataset(records),
+    summary: `${TEXTS.DATASET_SUMMARY} ${records.length} ${TEXTS.DATASET_RECORDS}`,
+  }),
+  saved: TEXTS.DATASET_SAVED,
+});
+
+// ============================================================================
 // CLI
 // ============================================================================
 
 const main = async () => {
   const args = process.argv.slice(2);
-  const force = args.includes('--force');
 
-  // Check if stdin is being piped
-  if (isStdinPiped() && args.length === 0) {
+  let positionals;
+  let options;
+  let profile;
+  let outputFormat;
+  let redactionRules = [];
+  let templates;
+  try {
+    ({ positionals, options } = parseArgs(args, {
+      valueOptions: [
+        'profile', 'format', 'redact-rules', 'out-dir', 'watch', 'config', 'project-root', 'split',
+        'output', 'order', 'lang', 'template', 'terminal-lines', 'records',
+      ],
+      flags: [
+        'help', 'force', 'redact', 'no-index', 'toc', 'files-touched', 'link-files', 'line-ranges', 'check', 'diff',
+        'no-dedupe', 'no-actions', 'no-commands', 'stats-json',
+      ],
+      shorthands: { h: 'help', o: 'output' },
+    }));
+    // Messages follow --lang or the environment until the configuration is known
+    setLocale(options.lang || detectLocale(process.env));
+    if (options['redact-rules']) {
+      redactionRules = loadRedactionRules(options['redact-rules']);
+    }
+    profile = options.profile ? resolveProfile(options.profile) : undefined;
+    templates = options.template ? resolveTemplates(options.template) : undefined;
+    // The prompts command writes a catalog, JSONL unless the output file is Markdown
+    outputFormat = positionals[0] === 'prompts'
+      ? normalizeCatalogFormat(options.format ||
+          (options.output?.endsWith(PROMPT_CATALOG_FORMATS.markdown) ? 'markdown' : 'jsonl'))
+      : normalizeFormat(options.format);
+    if (options.split) {
+      parseSplitStrategy(options.split);
+    }
+    if (options['terminal-lines']) {
+      parseLineLimit(options['terminal-lines']);
+    }
+    if (options.records) {
+      parseDatasetRecords(options.records);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  const { force = false } = options;
+  const shouldRedact = Boolean(options.redact || options['redact-rules']);
+
+  // Stats command: `stats <inputs...>`, or any input with --stats-json
+  const isStats = positionals[0] === 'stats' || Boolean(options['stats-json']);
+  const statsInputs = positionals[0] === 'stats' ? positionals.slice(1) : positionals;
+
+  // Merge command: `merge <inputs...> [-o output]`
+  const isMerge = !isStats && positionals[0] === 'merge';
+
+  // Prompts command: `prompts <inputs...> [-o output]`
+  const isPrompts = !isStats && positionals[0] === 'prompts';
+
+  // Dataset command: `dataset <inputs...> [-o output]`
+  const isDataset = !isStats && positionals[0] === 'dataset';
+
+  // Batch mode: several inputs, directories, glob patterns or an output directory
+  const isBatch = !options.watch && !isStats && !isMerge && !isPrompts && !isDataset && Boolean(
+    options['out-dir'] ||
+    positionals.length > 2 ||
+    positionals.some(arg => hasGlobPattern(arg) || isDirectory(arg))
+  );
+  const inputFiles = isStats || isMerge || isPrompts || isDataset || isBatch
+    ? expandInputs(isStats ? statsInputs : positionals.slice(isMerge || isPrompts || isDataset ? 1 : 0))
+    : positionals.slice(0, 1);
+
+  // Project configuration: explicit, or the nearest one above the inputs
+  // (its language applies unless --lang is given)
+  let config;
+  try {
+    config = await resolveConfig({
+      configFile: options.config,
+      searchFrom: options.watch || (inputFiles.length > 0 ? commonDirectory(inputFiles) : '.'),
+      lang: options.lang,
+      defaultLang: detectLocale(process.env),
+    });
+    setLocale(config.lang);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const formatOptions = {
+    profile,
+    redact: shouldRedact,
+    redactionRules,
+    // --template replaces the configured templates
+    config: templates ? { ...config, templates } : config,
+    projectRoot: options['project-root']?.split(',').map(root => root.trim()).filter(Boolean),
+    snapProjectRoot: true,
+    toc: Boolean(options.toc),
+    split: options.split,
+    filesTouched: Boolean(options['files-touched']),
+    terminalLines: options['terminal-lines'],
+    linkFiles: Boolean(options['link-files']),
+    lineRanges: Boolean(options['line-ranges']),
+  };
+
+  // Watch mode: runs until interrupted
+  if (options.watch) {
+    try {
+      watchSessions(options.watch, {
+        outDir: options['out-dir'],
+        format: outputFormat,
+        logger: console,
+        formatOptions,
+      });
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    console.log(`${TEXTS.WATCHING} ${options.watch} ${TEXTS.WATCH_HINT}`);
+    return;
+  }
+
+  if (isStats && !options.help) {
+    await showStats({
+      inputs: statsInputs,
+      files: inputFiles,
+      json: Boolean(options['stats-json']),
+      formatOptions,
+    });
+    return;
+  }
+
+  if (isMerge && !options.help) {
+    mergeFiles({
+      inputs: positionals.slice(1),
+      files: inputFiles,
+      outputFile: options.output,
+      order: options.order,
+      format: outputFormat,
+      formatOptions,
+    });
+    return;
+  }
+
+  if (isPrompts && !options.help) {
+    await buildPromptCatalog({
+      inputs: positionals.slice(1),
+      files: inputFiles,
+      outputFile: options.output,
+      format: outputFormat,
+      dedupe: !options['no-dedupe'],
+      formatOptions,
+    });
+    return;
+  }
+
+  if (isDataset && !options.help) {
+    await exportDataset({
+      inputs: positionals.slice(1),
+      files: inputFiles,
+      outputFile: options.output,
+      datasetOptions: {
+        records: options.records,
+        actions: !options['no-actions'],
+        commands: !options['no-commands'],
+      },
+      formatOptions,
+    });
+    return;
+  }
+
+  // Check if stdin is being piped (help and the modes writing or comparing files never read it)
+  const needsFileMode = Boolean(options.help || options.check || options.diff || options['out-dir']);
+  if (isStdinPiped() && positionals.length === 0 && !needsFileMode) {
     // Stdin mode: read from stdin, write to stdout, silent
     try {
+      if (options.split) {
+        throw new ConfigurationError(TEXTS.SPLIT_NEEDS_FILE);
+      }
       const content = await readStdin();
-      const formattedContent = processContent(content, {
+      const { output } = format(content, {
+        ...formatOptions,
         force,
-        silent: true,
         inputFile: 'stdin',
+        format: outputFormat,
       });
 
-      if (!formattedContent) {
-        process.exit(1);
-      }
-
-      process.stdout.write(formattedContent);
+      process.stdout.write(output);
       process.exit(0);
     } catch (error) {
       process.stderr.write(`Error: ${error.message}\n`);
@@ -185,9 +667,13 @@ const main = async () => {
   }
 
   // File mode: show help if no args
-  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+  if (positionals.length === 0 || options.help) {
     console.log(`
 ${TEXTS.CLI_USAGE}
+${TEXTS.CLI_STATS_USAGE}
+${TEXTS.CLI_MERGE_USAGE}
+${TEXTS.CLI_PROMPTS_USAGE}
+${TEXTS.CLI_DATASET_USAGE}
 
 ${TEXTS.CLI_DESC}
 
@@ -195,26 +681,96 @@ ${TEXTS.CLI_ARGS}
   ${TEXTS.CLI_INPUT}
   ${TEXTS.CLI_OUTPUT}
 
+${TEXTS.CLI_BATCH}
+  ${TEXTS.CLI_BATCH_INPUTS}
+
 ${TEXTS.CLI_OPTIONS}
   ${TEXTS.CLI_FORCE}
+  ${TEXTS.CLI_PROFILE}
+  ${TEXTS.CLI_FORMAT}
+  ${TEXTS.CLI_TEMPLATE}
+  ${TEXTS.CLI_LANG}
+  ${TEXTS.CLI_REDACT}
+  ${TEXTS.CLI_REDACT_RULES}
+  ${TEXTS.CLI_OUT_DIR}
+  ${TEXTS.CLI_NO_INDEX}
+  ${TEXTS.CLI_WATCH}
+  ${TEXTS.CLI_CONFIG}
+  ${TEXTS.CLI_PROJECT_ROOT}
+  ${TEXTS.CLI_SPLIT}
+  ${TEXTS.CLI_TOC}
+  ${TEXTS.CLI_FILES_TOUCHED}
+  ${TEXTS.CLI_TERMINAL_LINES}
+  ${TEXTS.CLI_LINK_FILES}
+  ${TEXTS.CLI_LINE_RANGES}
+  ${TEXTS.CLI_CHECK}
+  ${TEXTS.CLI_DIFF}
+  ${TEXTS.CLI_ORDER}
+  ${TEXTS.CLI_MERGE_OUTPUT}
+  ${TEXTS.CLI_NO_DEDUPE}
+  ${TEXTS.CLI_RECORDS}
+  ${TEXTS.CLI_NO_ACTIONS}
+  ${TEXTS.CLI_NO_COMMANDS}
+  ${TEXTS.CLI_STATS_JSON}
   ${TEXTS.CLI_HELP}
 
 ${TEXTS.CLI_EXAMPLES}
   ${TEXTS.CLI_EX1}
   ${TEXTS.CLI_EX2}
   ${TEXTS.CLI_EX3}
-
-Pipe mode:
+  ${TEXTS.CLI_EX4}
+  ${TEXTS.CLI_EX5}
+  ${TEXTS.CLI_EX6}
+  ${TEXTS.CLI_EX7}
+  ${TEXTS.CLI_EX8}
+  ${TEXTS.CLI_EX9}
+  ${TEXTS.CLI_EX10}
+  ${TEXTS.CLI_EX11}
+  ${TEXTS.CLI_EX12}
+
+${TEXTS.CLI_PIPE}
   cat session.md | smyp > formatted.md
 `);
     process.exit(0);
   }
 
-  // File mode: process files
-  const inputFile = args[0];
-  const outputFile = args.find((arg, i) => i > 0 && !arg.startsWith('--'));
+  if (options.check || options.diff) {
+    checkFiles({
+      inputs: positionals,
+      files: inputFiles,
+      outputFile: isBatch ? undefined : positionals[1],
+      outDir: options['out-dir'],
+      check: Boolean(options.check),
+      diff: Boolean(options.diff),
+      format: outputFormat,
+      formatOptions,
+    });
+    return;
+  }
+
+  if (isBatch) {
+    formatBatch({
+      inputs: positionals,
+      files: inputFiles,
+      outDir: options['out-dir'],
+      index: !options['no-index'],
+      force,
+      format: outputFormat,
+      formatOptions,
+    });
+    return;
+  }
 
-  formatChatSession({ inputFile, outputFile, force });
+  // File mode: process files
+  const [inputFile, outputFile] = positionals;
+
+  formatChatSession({
+    inputFile,
+    outputFile,
+    force,
+    format: outputFormat,
+    formatOptions,
+  });
 };
 
 main();
@@ -0,0 +1,366 @@
+/**
+ * @file batch.js
+ * @description Batch processing: input expansion (directories, glob patterns),
+ * per-file formatting that never aborts the batch, and the generated index
+ */
+
+import { readdirSync, statSync } from 'fs';
+import { basename, dirname, extname, join, relative, resolve, sep, posix } from 'path';
+import { MARKERS, TEXTS, OUTPUT_FORMATS } from './constants.js';
+import { format } from './format.js';
+import { isAlreadyProcessed, splitRawTail, summarizeFormatted } from './parsers.js';
+import { safeReadFile, safeWriteFile, ensureDirectory } from './io.js';
+
+// Extensions picked up when a directory is given as input
+const INPUT_EXTENSIONS = ['.md', '.json'];
+
+// Directories never walked when expanding inputs
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+
+// Maximum length of the first prompt shown in the index
+const INDEX_PROMPT_LENGTH = 80;
+
+/** @type {import('./format.js').Logger} */
+const SILENT_LOGGER = { log: () => {}, warn: () => {} };
+
+/**
+ * Converts a path to forward slashes (glob patterns always use them)
+ * @param {string} path - File path
+ * @returns {string} Path with forward slashes
+ */
+const toPosix = (path) => path.split(sep).join('/');
+
+/**
+ * Checks whether an argument is a glob pattern
+ * @param {string} arg - Command-line argument
+ * @returns {boolean}
+ */
+export const hasGlobPattern = (arg) => /[*?[]/.test(arg);
+
+/**
+ * Checks whether a path is an existing directory
+ * @param {string} path - Path to check
+ * @returns {boolean}
+ */
+export const isDirectory = (path) => {
+  try {
+    return statSync(path).isDirectory();
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Checks whether a file has an extension smyp reads (Markdown or JSON)
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+export const isSessionFile = (filePath) => INPUT_EXTENSIONS.includes(extname(filePath));
+
+/**
+ * Converts a glob pattern to a regular expression
+ * (`**` spans directories, `*` and `?` stay within one, `[...]` classes)
+ * @param {string} pattern - Glob pattern (forward slashes)
+ * @returns {RegExp} Anchored regular expression
+ */
+const globToRegExp = (pattern) => {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` also matches zero directories
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      const end = pattern.indexOf(']', i + 2);
+      source += '[' + pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Lists the files under a directory, recursively
+ * @param {string} dirPath - Directory to walk
+ * @returns {Array<string>} File paths, sorted
+ */
+const walkDirectory = (dirPath) => {
+  const files = [];
+  const entries = readdirSync(dirPath, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const entryPath = join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRECTORIES.includes(entry.name)) {
+        files.push(...walkDirectory(entryPath));
+      }
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+
+  return files;
+};
+
+/**
+ * Expands batch inputs into a list of files: directories are walked for
+ * Markdown and JSON files, glob patterns are matched from their static base
+ * directory, other arguments are kept as-is (missing files fail at processing)
+ * @param {Array<string>} inputs - Files, directories or glob patterns
+ * @returns {Array<string>} Unique file paths, in argument order
+ */
+export const expandInputs = (inputs) => {
+  const files = new Set();
+
+  for (const input of inputs) {
+    if (isDirectory(input)) {
+      walkDirectory(input)
+        .filter(isSessionFile)
+        .forEach(file => files.add(file));
+      continue;
+    }
+
+    if (!hasGlobPattern(input)) {
+      files.add(input);
+      continue;
+    }
+
+    // Walk from the longest directory prefix free of wildcards
+    const pattern = posix.normalize(toPosix(input));
+    const segments = pattern.split('/');
+    const firstGlob = segments.findIndex(hasGlobPattern);
+    const baseDir = segments.slice(0, firstGlob).join('/') || (pattern.startsWith('/') ? '/' : '.');
+    const matcher = globToRegExp(pattern);
+
+    if (isDirectory(baseDir)) {
+      walkDirectory(baseDir)
+        .filter(file => matcher.test(toPosix(file)))
+        .forEach(file => files.add(file));
+    }
+  }
+
+  return [...files];
+};
+
+/**
+ * Computes the default output path of a file: the input itself for Markdown,
+ * a sibling file with the format extension otherwise (JSON exports are never
+ * overwritten)
+ * @param {string} inputFile - Input file path
+ * @param {string} outputFormat - Output format
+ * @returns {string} Output file path
+ */
+export const defaultOutputPath = (inputFile, outputFormat) => {
+  const extension = extname(inputFile);
+  if (outputFormat === 'markdown' && extension !== '.json') {
+    return inputFile;
+  }
+
+  const base = inputFile.slice(0, inputFile.length - extension.length);
+  const output = base + OUTPUT_FORMATS[outputFormat];
+  return output === inputFile ? `${base}.smyp${OUTPUT_FORMATS[outputFormat]}` : output;
+};
+
+/**
+ * Computes the output path of a file processed with others: mirrored under
+ * the output directory relative to the base directory, or the default path
+ * @param {string} inputFile - Input file path
+ * @param {object} options - Path options
+ * @param {string} options.baseDir - Directory the input tree is relative to
+ * @param {string} [options.outDir] - Output directory (default path if omitted)
+ * @param {string} options.format - Output format
+ * @returns {string} Output file path
+ */
+export const batchOutputPath = (inputFile, { baseDir, outDir, format: outputFormat }) => {
+  return defaultOutputPath(
+    outDir ? join(outDir, relative(baseDir, resolve(inputFile))) : inputFile,
+    outputFormat
+  );
+};
+
+/**
+ * Finds the deepest directory containing all the given files
+ * @param {Array<string>} files - File paths
+ * @returns {string} Absolute common directory
+ */
+export const commonDirectory = (files) => {
+  const directories = files.map(file => dirname(resolve(file)).split(sep));
+  if (directories.length === 0) return resolve('.');
+
+  const common = directories.reduce((prefix, parts) => {
+    let length = 0;
+    while (length < prefix.length && prefix[length] === parts[length]) length++;
+    return prefix.slice(0, length);
+  });
+
+  return common.join(sep) || sep;
+};
+
+/**
+ * Reduces a prompt to a single line short enough for the index
+ * @param {string} text - Prompt text
+ * @returns {string} Shortened prompt
+ */
+const shortenPrompt = (text) => {
+  const line = text.split('\n').map(l => l.trim()).find(Boolean) || '';
+  return line.length > INDEX_PROMPT_LENGTH
+    ? line.slice(0, INDEX_PROMPT_LENGTH - 1).trimEnd() + '…'
+    : line;
+};
+
+/**
+ * Formats one file and reports it on a single line; errors are captured in
+ * the result instead of being thrown
+ * @param {string} inputFile - Input file
+ * @param {string} outputFile - Output file
+ * @param {object} [options] - Processing options
+ * @param {string} [options.format='markdown'] - Output format
+ * @param {boolean} [options.force=false] - Reprocess already formatted files
+ * @param {string} [options.processedDate] - Processing date (defaults to now)
+ * @param {import('./format.js').Logger} [options.logger] - Receives the file's line (silent by default)
+ * @param {object} [options.formatOptions] - Other options passed to `format()` (profile, redaction...)
+ * @returns {{inputFile: string, outputFile: string|null, status: string, error: Error|null, summary: object|null}|null}
+ *   Result with status `formatted`, `skipped` or `failed`, null for a generated index
+ */
+export const processFile = (inputFile, outputFile, {
+  format: outputFormat = 'markdown',
+  force = false,
+  processedDate = new Date().toISOString(),
+  logger = SILENT_LOGGER,
+  formatOptions = {},
+} = {}) => {
+  try {
+    const content = safeReadFile(inputFile);
+
+    // A generated index is not a session
+    if (content.includes(MARKERS.INDEX)) return null;
+
+    // Formatted files are skipped, unless raw turns were pasted after them
+    if (isAlreadyProcessed(content) && !force && !splitRawTail(content).tail) {
+      logger.log(`${TEXTS.BATCH_SKIPPED} ${inputFile}`);
+      return {
+        inputFile,
+        outputFile: null,
+        status: 'skipped',
+        error: null,
+        summary: summarizeFormatted(content),
+      };
+    }
+
+    const { output, stats, parts = [] } = format(content, {
+      ...formatOptions,
+      format: outputFormat,
+      force,
+      inputFile,
+      outputFile,
+      splitName: basename(outputFile),
+      processedDate,
+    });
+
+    ensureDirectory(dirname(outputFile));
+    safeWriteFile(outputFile, output);
+    parts.forEach(part => safeWriteFile(join(dirname(outputFile), part.file), part.output));
+    logger.log(`${TEXTS.BATCH_FORMATTED} ${inputFile} → ${outputFile}${parts.length > 0 ? ` (+${parts.length})` : ''}`);
+    stats.missingFiles.forEach(path => logger.warn(`   ${TEXTS.MISSING_FILE} ${path}`));
+    return {
+      inputFile,
+      outputFile,
+      status: 'formatted',
+      error: null,
+      summary: {
+        date: stats.startDate || processedDate,
+        firstPrompt: stats.firstPrompt,
+        userPrompts: stats.userPrompts,
+        agentResponses: stats.agentResponses,
+      },
+    };
+  } catch (error) {
+    // Keep the first line: detection errors carry multi-line hints
+    const reason = error.message.split('\n')[0].replace(/^❌\s*/, '');
+    logger.warn(`${TEXTS.BATCH_FAILED} ${inputFile}: ${reason}`);
+    return { inputFile, outputFile: null, status: 'failed', error, summary: null };
+  }
+};
+
+/**
+ * Formats files one by one; a failing file is reported and the batch goes on
+ * @param {Array<string>} files - Input files
+ * @param {object} [options] - Batch options (and `processFile()` options)
+ * @param {string} [options.outDir] - Output directory (files are formatted in place if omitted)
+ * @param {string} [options.format='markdown'] - Output format
+ * @param {string} [options.processedDate] - Processing date shared by the batch (defaults to now)
+ * @returns {Array<object>} One `processFile()` result per file (generated indexes excluded)
+ */
+export const runBatch = (files, {
+  outDir,
+  format: outputFormat = 'markdown',
+  processedDate = new Date().toISOString(),
+  ...options
+} = {}) => {
+  const baseDir = commonDirectory(files);
+
+  return files
+    .map(inputFile => processFile(
+      inputFile,
+      batchOutputPath(inputFile, { baseDir, outDir, format: outputFormat }),
+      { ...options, format: outputFormat, processedDate }
+    ))
+    .filter(Boolean);
+};
+
+/**
+ * Escapes a value for a Markdown table cell
+ * @param {string} value - Cell value
+ * @returns {string} Escaped value
+ */
+const escapeCell = (value) => String(value).replace(/\|/g, '\\|');
+
+/**
+ * Generates the Markdown index of a batch: one row per session (formatted or
+ * already processed), linked relative to the index location
+ * @param {Array<object>} results - Results of `runBatch()`
+ * @param {string} indexDir - Directory the index is written to
+ * @returns {string} Markdown index
+ */
+export const generateIndex = (results, indexDir) => {
+  const rows = results
+    .filter(result => result.summary)
+    .map(({ inputFile, outputFile, summary }) => {
+      const target = outputFile || inputFile;
+      const link = toPosix(relative(resolve(indexDir), resolve(target))).replace(/ /g, '%20');
+      return {
+        date: summary.date ? summary.date.slice(0, 10) : '',
+        cells: [
+          `[${escapeCell(basename(target))}](${link})`,
+          summary.date ? summary.date.slice(0, 10) : '—',
+          escapeCell(shortenPrompt(summary.firstPrompt)) || '—',
+          summary.userPrompts,
+          summary.agentResponses,
+        ],
+      };
+    })
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+  return [
+    TEXTS.INDEX_TITLE,
+    '',
+    MARKERS.INDEX,
+    '',
+    TEXTS.INDEX_HEADER,
+    '| --- | --- | --- | ---: | ---: |',
+    ...rows.map(row => `| ${row.cells.join(' | ')} |`),
+    '',
+  ].join('\n');
+};
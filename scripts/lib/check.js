@@ -0,0 +1,152 @@
+/**
+ * @file check.js
+ * @description Check mode: compares what formatting would write with the
+ * files on disk, without writing anything
+ */
+
+import { existsSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { MARKERS, SECTION_MARKER_PATTERN } from './constants.js';
+import { format } from './format.js';
+import { isAlreadyProcessed, parseFrontmatter } from './parsers.js';
+import { partFileName } from './split.js';
+import { safeReadFile } from './io.js';
+import { batchOutputPath, commonDirectory } from './batch.js';
+
+// Frontmatter type of the parent index of a split session
+const SPLIT_INDEX_PATTERN = /^type: chat-session-index$/m;
+
+// Frontmatter of a document, and the fields placing a part among the parts
+const FRONTMATTER_PATTERN = /^---\n[\s\S]*?\n---/;
+const PART_FIELDS_PATTERN = /^(?:part|turns|parent): .*\n/gm;
+
+// Turn anchor written before the first section of each turn
+const TURN_START_PATTERN = /^<a id="turn-\d+"><\/a>$/;
+
+// Processing date written by each output format (frontmatter, JSON model, HTML header)
+const PROCESSED_DATE_PATTERN = /^processedDate: (.+)$|"processedDate": "([^"]+)"|<dt>Processed<\/dt><dd>([^<]+)<\/dd>/m;
+
+/**
+ * Reads the processing date of a generated document
+ * @param {string} content - Document content
+ * @returns {string|undefined} Processing date, if any
+ */
+const readProcessedDate = (content) => {
+  const match = content.match(PROCESSED_DATE_PATTERN);
+  return match ? match[1] || match[2] || match[3] : undefined;
+};
+
+/**
+ * Rebuilds the formatted session of a split index from its parts: the
+ * frontmatter of the first part (without its part fields), then the sections
+ * of every part
+ * @param {string} indexFile - Split index file
+ * @param {string} content - Split index content
+ * @returns {string|null} Formatted session, or null if a part is missing
+ */
+const joinParts = (indexFile, content) => {
+  const total = Number(parseFrontmatter(content).parts);
+  if (!total) return null;
+  const files = Array.from({ length: total }, (_, index) => {
+    return join(dirname(indexFile), partFileName(basename(indexFile), index + 1));
+  });
+  if (!files.every(file => existsSync(file))) return null;
+
+  return files.map((file, index) => {
+    const part = safeReadFile(file);
+    if (index === 0) {
+      return part.replace(FRONTMATTER_PATTERN, frontmatter => frontmatter.replace(PART_FIELDS_PATTERN, ''));
+    }
+    // Frontmatter, navigation and generated sections come before the first turn
+    const lines = part.split('\n');
+    const start = lines.findIndex(line => TURN_START_PATTERN.test(line) || SECTION_MARKER_PATTERN.test(line) ||
+      line.startsWith(MARKERS.SESSION));
+    return start === -1 ? '' : lines.slice(start).join('\n');
+  }).join('\n');
+};
+
+/**
+ * Checks one file: formats it in memory (already formatted documents are
+ * re-rendered from their markers) and compares the result with the output
+ * file and its parts. The processing date of the existing output is reused,
+ * so that it never counts as a change.
+ * @param {string} inputFile - Input file
+ * @param {string} outputFile - File formatting would write
+ * @param {object} [options] - Check options
+ * @param {string} [options.format='markdown'] - Output format
+ * @param {object} [options.formatOptions] - Other options passed to `format()` (profile, toc, split...)
+ * @returns {{inputFile: string, outputFile: string, status: string, changes: Array<{file: string, before: string,
+ *   after: string}>, error: Error|null}|null} Result with status `clean`, `unformatted` (the output does not
+ *   exist or is not formatted), `changed`, `skipped` (formatted input, non-Markdown output), `unsupported` (split
+ *   index without `split` option or with a missing part) or `failed`, and the files that would change; null for a
+ *   batch index
+ */
+export const checkFile = (inputFile, outputFile, {
+  format: outputFormat = 'markdown',
+  formatOptions = {},
+} = {}) => {
+  try {
+    const content = safeReadFile(inputFile);
+    let session = content;
+
+    // A batch index is not a session; a split index formatted in place stands
+    // for its parts, rendered again with the split options
+    if (content.includes(MARKERS.INDEX)) {
+      if (!SPLIT_INDEX_PATTERN.test(content)) return null;
+      session = formatOptions.split && outputFile === inputFile && outputFormat === 'markdown'
+        ? joinParts(inputFile, content)
+        : null;
+      if (!session) return { inputFile, outputFile, status: 'unsupported', changes: [], error: null };
+    }
+
+    if (isAlreadyProcessed(session) && outputFormat !== 'markdown') {
+      return { inputFile, outputFile, status: 'skipped', changes: [], error: null };
+    }
+
+    const read = (file) => (existsSync(file) ? safeReadFile(file) : '');
+    const current = outputFile === inputFile ? content : read(outputFile);
+    const { output, parts = [] } = format(session, {
+      ...formatOptions,
+      format: outputFormat,
+      force: true,
+      inputFile,
+      outputFile,
+      splitName: basename(outputFile),
+      processedDate: readProcessedDate(current),
+    });
+
+    const changes = [
+      { file: outputFile, before: current, after: output },
+      ...parts.map(part => {
+        const file = join(dirname(outputFile), part.file);
+        return { file, before: read(file), after: part.output };
+      }),
+    ].filter(({ before, after }) => before !== after);
+
+    const formatted = current.includes(MARKERS.PROCESSED) || (outputFormat !== 'markdown' && current !== '');
+    const status = changes.length === 0 ? 'clean' : (formatted ? 'changed' : 'unformatted');
+    return { inputFile, outputFile, status, changes, error: null };
+  } catch (error) {
+    return { inputFile, outputFile, status: 'failed', changes: [], error };
+  }
+};
+
+/**
+ * Checks files one by one, with the output paths of a batch run
+ * @param {Array<string>} files - Input files
+ * @param {object} [options] - Check options (and `checkFile()` options)
+ * @param {string} [options.outDir] - Output directory (files are checked in place if omitted)
+ * @param {string} [options.format='markdown'] - Output format
+ * @returns {Array<object>} Results of `checkFile()`, batch indexes excluded
+ */
+export const runCheck = (files, { outDir, format: outputFormat = 'markdown', ...options } = {}) => {
+  const baseDir = commonDirectory(files);
+
+  return files
+    .map(inputFile => checkFile(
+      inputFile,
+      batchOutputPath(inputFile, { baseDir, outDir, format: outputFormat }),
+      { ...options, format: outputFormat }
+    ))
+    .filter(Boolean);
+};
@@ -0,0 +1,54 @@
+/**
+ * @file cli.js
+ * @description Command-line argument parsing
+ */
+
+import { ConfigurationError } from './errors.js';
+
+/**
+ * Parses command-line arguments into positionals and options.
+ * Supports boolean flags (`--force`), valued options (`--profile cursor`,
+ * `--profile=cursor`) and single-letter shorthands (`-h` for `--help`).
+ * @param {Array<string>} args - Arguments (without node and script paths)
+ * @param {object} [spec] - Parsing specification
+ * @param {Array<string>} [spec.valueOptions=[]] - Names of options expecting a value
+ * @param {Array<string>} [spec.flags] - Names of boolean options; when given, any other option is rejected
+ * @param {Object<string, string>} [spec.shorthands={h: 'help'}] - Option names, by shorthand letter
+ * @returns {{positionals: Array<string>, options: Object<string, string|boolean>}} Parsed arguments
+ * @throws {ConfigurationError} If an option is unknown or a valued option has no value
+ */
+export const parseArgs = (args, { valueOptions = [], flags, shorthands = { h: 'help' } } = {}) => {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const shorthand = /^-\w$/.test(args[i]) && shorthands[args[i][1]];
+    const arg = shorthand ? `--${shorthand}` : args[i];
+
+    if (flags && /^-\w$/.test(arg)) {
+      throw new ConfigurationError(`Unknown option: ${arg} (see --help)`);
+    }
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+
+    if (flags && !flags.includes(name) && !valueOptions.includes(name)) {
+      throw new ConfigurationError(`Unknown option: --${name} (see --help)`);
+    }
+    if (!valueOptions.includes(name)) {
+      options[name] = true;
+      continue;
+    }
+
+    const value = inlineValue ?? args[++i];
+    if (value === undefined || value.startsWith('--')) {
+      throw new ConfigurationError(`Option ${shorthand ? args[i - 1] : `--${name}`} expects a value`);
+    }
+    options[name] = value;
+  }
+
+  return { positionals, options };
+};
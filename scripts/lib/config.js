@@ -0,0 +1,255 @@
+/**
+ * @file config.js
+ * @description Project configuration file (.smyprc, smyp.config.js): discovery,
+ * loading and validation, and application to speaker profiles
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { dirname, extname, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { VISUAL_MARKERS } from './constants.js';
+import { compilePatterns } from './profiles.js';
+import { resolveLocale } from './i18n.js';
+import { createTemplates } from './templates.js';
+import { ConfigurationError } from './errors.js';
+
+// Configuration file names, by priority within a directory
+export const CONFIG_FILES = ['.smyprc', '.smyprc.json', 'smyp.config.js', 'smyp.config.mjs'];
+
+// Profile pattern lists a configuration can extend or override
+const PATTERN_FIELDS = ['actionPatterns', 'noisePatterns', 'ignoreUserPrompts'];
+
+// Fields of a compiled configuration only, then the configurable ones
+const COMPILED_FIELDS = ['source', 'defaultLang'];
+const CONFIG_FIELDS = [...COMPILED_FIELDS, ...PATTERN_FIELDS, 'visualMarkers', 'templates', 'lang'];
+
+/**
+ * Compiled configuration
+ * @typedef {Object} Config
+ * @property {string|null} source - File the configuration was loaded from
+ * @property {{extend: Array<RegExp>, override: Array<RegExp>|null}} actionPatterns - Technical actions
+ * @property {{extend: Array<RegExp>, override: Array<RegExp>|null}} noisePatterns - UI artifacts
+ * @property {{extend: Array<RegExp>, override: Array<RegExp>|null}} ignoreUserPrompts - Dropped prompts
+ * @property {Object<string, string>} visualMarkers - Section headers (VISUAL_MARKERS, then the
+ *   locale's headings, overridden)
+ * @property {import('./templates.js').Templates} templates - Output templates (a preset, overridden)
+ * @property {string|null} lang - Locale of messages and headings (null: not configured)
+ * @property {boolean} defaultLang - Whether `lang` is only the default language (environment): a
+ *   formatted document then keeps its own
+ */
+
+/**
+ * Compiles a pattern list setting: an array extends the profile's list,
+ * `{ extend, override }` replaces it (override) and/or appends to it (extend)
+ * @param {Array|object} [value] - Setting value
+ * @param {string} field - Field name for error messages
+ * @returns {{extend: Array<RegExp>, override: Array<RegExp>|null}} Compiled setting
+ * @throws {ConfigurationError} If the setting or a pattern is invalid
+ */
+const compilePatternSetting = (value, field) => {
+  if (value === undefined) return { extend: [], override: null };
+  if (Array.isArray(value)) return { extend: compilePatterns(value, field), override: null };
+
+  if (typeof value !== 'object' || value === null) {
+    throw new ConfigurationError(`"${field}" must be an array of patterns or { extend, override }`);
+  }
+  const unknown = Object.keys(value).filter(key => !['extend', 'override'].includes(key));
+  if (unknown.length > 0) {
+    throw new ConfigurationError(`Unknown key in "${field}": ${unknown.join(', ')} (expected: extend, override)`);
+  }
+
+  return {
+    extend: compilePatterns(value.extend, `${field}.extend`),
+    override: value.override == null ? null : compilePatterns(value.override, `${field}.override`),
+  };
+};
+
+/**
+ * Validates a language setting
+ * @param {string} [lang] - Language tag
+ * @returns {string|null} Locale name, or null if not set
+ * @throws {ConfigurationError} If the language is not a string or has no catalog
+ */
+const compileLang = (lang) => {
+  if (lang == null) return null;
+  if (typeof lang !== 'string') {
+    throw new ConfigurationError('"lang" must be a string');
+  }
+  return resolveLocale(lang).name;
+};
+
+/**
+ * Validates visual marker overrides and merges them over VISUAL_MARKERS and
+ * the headings of the locale
+ * @param {object} [markers] - Marker overrides
+ * @param {string|null} [lang] - Locale name
+ * @returns {Object<string, string>} Complete visual markers
+ * @throws {ConfigurationError} If a marker is unknown or not a string
+ */
+const compileVisualMarkers = (markers = {}, lang = null) => {
+  if (typeof markers !== 'object' || markers === null || Array.isArray(markers)) {
+    throw new ConfigurationError('"visualMarkers" must be an object');
+  }
+
+  for (const [key, value] of Object.entries(markers)) {
+    if (!(key in VISUAL_MARKERS)) {
+      throw new ConfigurationError(
+        `Unknown visual marker: ${key} (available: ${Object.keys(VISUAL_MARKERS).join(', ')})`
+      );
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+      throw new ConfigurationError(`Visual marker ${key} must be a non-empty string`);
+    }
+  }
+
+  return { ...VISUAL_MARKERS, ...(lang && resolveLocale(lang).visualMarkers), ...markers };
+};
+
+/**
+ * Validates and compiles a configuration definition (patterns given as
+ * strings or RegExp). Compiling an already compiled configuration is a no-op.
+ * @param {object} [definition={}] - Configuration definition
+ * @param {string|null} [source=null] - File the definition comes from (for error messages)
+ * @returns {Config} Compiled configuration
+ * @throws {ConfigurationError} If the definition is invalid
+ */
+export const createConfig = (definition = {}, source = definition?.source ?? null) => {
+  try {
+    if (typeof definition !== 'object' || definition === null || Array.isArray(definition)) {
+      throw new ConfigurationError('Configuration must be an object');
+    }
+    const unknown = Object.keys(definition).filter(key => !CONFIG_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      const expected = CONFIG_FIELDS.slice(COMPILED_FIELDS.length);
+      throw new ConfigurationError(`Unknown configuration key: ${unknown.join(', ')} (expected: ${expected.join(', ')})`);
+    }
+
+    const lang = compileLang(definition.lang);
+    return {
+      source,
+      ...Object.fromEntries(PATTERN_FIELDS.map(field => [
+        field,
+        compilePatternSetting(definition[field], field),
+      ])),
+      visualMarkers: compileVisualMarkers(definition.visualMarkers, lang),
+      templates: createTemplates(definition.templates),
+      lang,
+      defaultLang: Boolean(lang && definition.defaultLang),
+    };
+  } catch (error) {
+    if (source && error instanceof ConfigurationError) {
+      throw new ConfigurationError(`Invalid configuration ${source}: ${error.message}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Switches a compiled configuration to another language: the headings of its
+ * locale are replaced by those of the other one, overridden markers are kept
+ * @param {Config} config - Compiled configuration
+ * @param {string} lang - Language tag
+ * @returns {Config} Configuration in that language
+ * @throws {ConfigurationError} If the language has no catalog
+ */
+export const localizeConfig = (config, lang) => {
+  const name = compileLang(lang);
+  if (name === config.lang) return config;
+
+  const current = compileVisualMarkers({}, config.lang);
+  const target = compileVisualMarkers({}, name);
+  const visualMarkers = Object.fromEntries(Object.entries(config.visualMarkers)
+    .map(([key, marker]) => [key, marker === current[key] ? target[key] : marker]));
+  return { ...config, visualMarkers, lang: name };
+};
+
+/**
+ * Finds the nearest configuration file, from a directory upward
+ * @param {string} [startDir='.'] - Directory to start from
+ * @returns {string|null} Configuration file path or null
+ */
+export const findConfigFile = (startDir = '.') => {
+  let dir = resolve(startDir);
+
+  while (true) {
+    const file = CONFIG_FILES.map(name => join(dir, name)).find(existsSync);
+    if (file) return file;
+
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+};
+
+/**
+ * Sets the language of a configuration definition: the given one, else the
+ * configured one, else the default
+ * @param {*} definition - Configuration definition
+ * @param {object} options - Language options
+ * @param {string} [options.lang] - Language overriding the configuration
+ * @param {string} [options.defaultLang] - Language if none is given or configured
+ * @returns {*} Definition with its language (unchanged if it is not an object)
+ */
+const withLang = (definition, { lang, defaultLang }) => {
+  if (typeof definition !== 'object' || definition === null || Array.isArray(definition)) return definition;
+  const value = lang || definition.lang;
+  if (value) return { ...definition, lang: value };
+  return defaultLang ? { ...definition, lang: defaultLang, defaultLang: true } : definition;
+};
+
+/**
+ * Loads and validates a configuration file: JSON (.smyprc, .json) or an ES
+ * module whose default export is the configuration (.js, .mjs)
+ * @param {string} filePath - Configuration file path
+ * @param {object} [options] - Language options
+ * @param {string} [options.lang] - Language overriding the configured one
+ * @param {string} [options.defaultLang] - Language if none is given or configured
+ * @returns {Promise<Config>} Compiled configuration
+ * @throws {ConfigurationError} If the file cannot be loaded or is invalid
+ */
+export const loadConfig = async (filePath, { lang, defaultLang } = {}) => {
+  const absolutePath = resolve(filePath);
+  let definition;
+
+  try {
+    if (['.js', '.mjs'].includes(extname(absolutePath))) {
+      const module = await import(pathToFileURL(absolutePath).href);
+      definition = module.default ?? module;
+    } else {
+      definition = JSON.parse(readFileSync(absolutePath, 'utf-8'));
+    }
+  } catch (error) {
+    throw new ConfigurationError(`Failed to load configuration ${filePath}: ${error.message}`);
+  }
+
+  return createConfig(withLang(definition, { lang, defaultLang }), filePath);
+};
+
+/**
+ * Resolves the configuration: the given file, or the nearest one found from a directory
+ * @param {object} [options] - Resolution options
+ * @param {string} [options.configFile] - Explicit configuration file
+ * @param {string} [options.searchFrom='.'] - Directory to search from when no file is given
+ * @param {string} [options.lang] - Language overriding the configured one (`--lang`)
+ * @param {string} [options.defaultLang] - Language if none is given or configured (detected from LANG)
+ * @returns {Promise<Config>} Compiled configuration (defaults if none is found)
+ * @throws {ConfigurationError} If the configuration cannot be loaded or is invalid
+ */
+export const resolveConfig = async ({ configFile, searchFrom = '.', lang, defaultLang } = {}) => {
+  const file = configFile || findConfigFile(searchFrom);
+  return file ? loadConfig(file, { lang, defaultLang }) : createConfig(withLang({}, { lang, defaultLang }));
+};
+
+/**
+ * Applies a configuration's pattern lists to a speaker profile
+ * @param {import('./profiles.js').Profile} profile - Speaker profile
+ * @param {Config} config - Compiled configuration
+ * @returns {import('./profiles.js').Profile} Profile with configured pattern lists
+ */
+export const applyConfig = (profile, config) => ({
+  ...profile,
+  ...Object.fromEntries(PATTERN_FIELDS.map(field => [
+    field,
+    [...(config[field].override || profile[field]), ...config[field].extend],
+  ])),
+});
@@ -10,19 +10,36 @@ export const MARKERS = {
   AGENT_ACTION: '<!-- agent-action -->',
   CODE_BLOCK: '<!-- code-block -->',
   ORIGINAL_PATH: '<!-- original-path: ',
+  PROMPT_META: '<!-- prompt-meta: ',
+  INDEX: '<!-- smyp-index -->',
+  FILES_TOUCHED: '<!-- files-touched -->',
+  TOC: '<!-- toc -->',
+  PART_NAV: '<!-- part-nav -->',
+  SESSION: '<!-- session: ',
+  CONTENT: '<!-- content -->',
+  CONTENT_END: '<!-- /content -->',
 };
 
+// Section marker line, optionally carrying the turn ID ("<!-- user-prompt: turn-3 -->")
+export const SECTION_MARKER_PATTERN = /^<!-- (user-prompt|agent-response|agent-action)(?:: turn-(\d+))? -->$/;
+
 export const VISUAL_MARKERS = {
   USER_PROMPT: '## 👤 User Prompt',
   AGENT_RESPONSE: '## 🤖 Response',
   AGENT_ACTION: '<details><summary>🔧 Technical Actions</summary>',
   AGENT_ACTION_END: '</details>',
+  FILES_TOUCHED: '## 📂 Files Touched',
+  TOC: '## 📑 Contents',
+  SESSION: '# 🗂️ Session:',
 };
 
 export const TEXTS = {
   // Console messages
   DETECTED_PROJECT_ROOT: '📁 Detected project root:',
   DETECTED_USER_ID: '👤 Detected user identifier:',
+  DETECTED_PROFILE: '🗣️  Detected speaker profile:',
+  DETECTED_JSON_EXPORT: '📦 Detected VS Code chat JSON export',
+  USING_CONFIG: '⚙️  Using configuration:',
   ANALYZING_CONTENT: '🔍 Analyzing content...',
   FOUND_SECTIONS: '   Found:',
   SECTIONS_RAW: 'sections (raw)',
@@ -32,35 +49,174 @@ export const TEXTS = {
   AGENT_RESPONSES: 'agent responses',
   ACTION_SEQUENCES: 'action sequences',
   FORMATTING_CONTENT: '✨ Formatting content...',
+  RENDERING_HTML: '🌐 Rendering HTML page...',
+  RENDERING_JSON: '🧩 Building session model...',
   FILE_SAVED: '✅ Formatted file saved:',
+  APPENDING_TURNS: '➕ Appending the raw turns pasted after the formatted ones.',
+  APPENDED_SECTIONS: '   Appended:',
+  FORCED_REPROCESSING: '🔄 Forced reprocessing: sections re-parsed from the formatted document.',
+  REDACTED_VALUES: '🔒 Redacted values:',
+  NOTHING_REDACTED: '🔒 Nothing to redact.',
+  BATCH_FORMATTED: '✅',
+  BATCH_SKIPPED: '⏭️  Already processed:',
+  BATCH_FAILED: '❌',
+  BATCH_SUMMARY: '📚 Batch complete:',
+  COUNT_FORMATTED: 'formatted',
+  COUNT_SKIPPED: 'skipped',
+  COUNT_FAILED: 'failed',
+  COUNT_CLEAN: 'up to date',
+  COUNT_PENDING: 'to format',
+  INDEX_SAVED: '🗂️  Index saved:',
+  WATCHING: '👀 Watching',
+  WATCH_HINT: 'for raw sessions (Ctrl+C to stop)',
+  INDEX_TITLE: '# Chat Sessions',
+  INDEX_HEADER: '| Session | Date | First prompt | Prompts | Responses |',
+  PART_SAVED: '📄 Part saved:',
+  SPLIT_PARTS: '✂️  Split into parts:',
+  SPLIT_PART: 'Part',
+  SPLIT_INDEX: 'Index',
+  SPLIT_INDEX_HEADER: '| Part | Turns | First prompt |',
+  CHECK_CLEAN: '✅ Up to date:',
+  CHECK_UNFORMATTED: '❌ Not formatted:',
+  CHECK_CHANGED: '❌ Would change:',
+  CHECK_UNSUPPORTED: '⚠️  Not checked (split index: pass --split, parts next to it):',
+  CHECK_SUMMARY: '🔎 Check complete:',
+  MERGING_SESSION: '🔗 Merging session:',
+  MERGED_SESSIONS: '🔗 Merged sessions:',
+  PROMPTS_SAVED: '📚 Prompt catalog saved:',
+  PROMPTS_SUMMARY: '📚 Prompt catalog:',
+  PROMPTS_COUNT: 'prompts',
+  PROMPTS_MERGED: 'near-identical ones merged',
+  DATASET_SAVED: '🧪 Dataset saved:',
+  DATASET_SUMMARY: '🧪 Dataset:',
+  DATASET_RECORDS: 'records',
+  STATS_TITLE: '📊 Session statistics:',
+  STATS_PROFILE: 'Profile:',
+  STATS_TURNS: 'Turns:',
+  STATS_PROMPTS: 'Prompts:',
+  STATS_RESPONSES: 'Responses:',
+  STATS_ACTIONS: 'Actions:',
+  STATS_COMMANDS: 'Terminal commands:',
+  STATS_FAILED_COMMANDS: 'Failed commands:',
+  STATS_COMPACTIONS: 'History compactions:',
+  STATS_CONTINUATIONS: 'Skipped continuations:',
+  STATS_FILES: 'Files',
+  STATS_WORDS: 'words',
+  STATS_EACH: 'each',
+  STATS_JSON_EXPORT: 'json export',
+  STATS_FORMATTED: 'formatted document',
+
+  // Document labels
+  TERMINAL_COMMAND: 'Terminal command',
+  TERMINAL_OUTPUT: 'Output',
+  TERMINAL_LINES: 'lines',
+  TERMINAL_LINE: 'line',
+  TERMINAL_EXIT_CODE: 'exit code',
+  TERMINAL_OMITTED: 'lines omitted',
+  TERMINAL_OMITTED_ONE: 'line omitted',
+  TOC_TURN: 'Turn',
+  FILES_TURN: 'turn',
+  FILES_READ: 'Read',
+  FILES_CREATED: 'Created',
+  FILES_EDITED: 'Edited',
+  PROMPTS_TITLE: '# 📚 Prompt Catalog',
+  PROMPTS_SOURCE: 'Source:',
+  PROMPTS_ALSO_IN: 'Also in:',
+  PROMPTS_CONTEXT: 'Context:',
 
   // Error messages
   ALREADY_PROCESSED: '⚠️  File already processed. Use --force to reprocess.',
+  NO_PROJECT_ROOT: '⚠️  No project root detected: file paths are not simplified.',
+  MISSING_FILE: '⚠️  Referenced file not found:',
+  ALREADY_PROCESSED_RAW_NEEDED: '❌ File already processed: this output format needs the raw session.',
+  SPLIT_MARKDOWN_ONLY: 'Splitting needs the Markdown output format',
+  SPLIT_NEEDS_FILE: 'Splitting writes several files: it is not available in pipe mode',
+  MERGE_NEEDS_INPUTS: 'Merging needs at least two input files',
+  MERGE_MARKDOWN_ONLY: 'Merging needs the Markdown output format',
   ERROR_PROCESSING: '❌ Error processing file:',
+  NO_INPUT_MATCH: 'No input file matches:',
+  UNKNOWN_LOCALE: 'Unknown language:',
   NO_USER_ID: '❌ Could not detect user identifier in the file.\n' +
-              '   Expected pattern: "username:" at the start of a line.\n' +
-              '   Make sure the file contains user prompts in the format "username: <content>".',
+              '   Expected pattern: "username:" at the start of a line, followed by an agent turn.\n' +
+              '   Make sure the file contains user prompts in the format "username: <content>",\n' +
+              '   or select the speaker profile of your tool with --profile.',
 
   // CLI help
   CLI_USAGE: 'Usage: node scripts/format-chat-session.js <input-file> [output-file] [options]',
   CLI_DESC: 'Formats a raw chat session Markdown file into a structured and readable document.',
+  CLI_STATS_USAGE: '       node scripts/format-chat-session.js stats <inputs...> [--stats-json]',
+  CLI_MERGE_USAGE: '       node scripts/format-chat-session.js merge <inputs...> [-o <output-file>] [--order <o>]',
+  CLI_PROMPTS_USAGE: '       node scripts/format-chat-session.js prompts <inputs...> [-o <output-file>] [--format <f>]',
+  CLI_DATASET_USAGE: '       node scripts/format-chat-session.js dataset <inputs...> [-o <output-file>] [--records <r>]',
   CLI_ARGS: 'Arguments:',
-  CLI_INPUT: '  <input-file>    Raw Markdown file to process (required)',
-  CLI_OUTPUT: '  [output-file]   Output file (optional, overwrites input by default)',
+  CLI_BATCH: 'Batch mode (several inputs, a directory, a quoted glob or --out-dir):',
+  CLI_BATCH_INPUTS: '  <inputs...>     Files, directories or glob patterns ("prompts/**/*.md")',
+  CLI_INPUT: '  <input-file>    Raw Markdown file or VS Code chat JSON export (required)',
+  CLI_OUTPUT: '  [output-file]   Output file (optional, overwrites input by default,\n' +
+              '                  or writes <input>.md next to a .json export)',
   CLI_OPTIONS: 'Options:',
   CLI_FORCE: '  --force         Force reprocessing even if already formatted',
+  CLI_PROFILE: '  --profile <p>   Speaker profile: copilot, cursor, claude, continue or a JSON file\n' +
+               '                  (auto-detected by default)',
+  CLI_FORMAT: '  --format <f>    Output format: markdown (default), html or json\n' +
+              '                  (prompts command: jsonl, the default, or markdown)',
+  CLI_TEMPLATE: '  --template <t>  Output templates: default, github, obsidian, plain or a JSON file',
+  CLI_LANG: '  --lang <l>      Language of messages and headings: en or fr\n' +
+            '                  (default: configuration, then LANG)',
+  CLI_REDACT: '  --redact        Redact secrets, emails, home paths and the user identifier',
+  CLI_REDACT_RULES: '  --redact-rules <file>  Additional redaction rules (JSON), implies --redact',
+  CLI_OUT_DIR: '  --out-dir <dir> Batch mode: write outputs under <dir>, mirroring the input tree',
+  CLI_NO_INDEX: '  --no-index      Batch mode: do not write index.md',
+  CLI_WATCH: '  --watch <dir>   Format raw sessions as they are saved in <dir> (honors --out-dir)',
+  CLI_CONFIG: '  --config <file> Configuration file (default: nearest .smyprc, .smyprc.json,\n' +
+              '                  smyp.config.js or smyp.config.mjs above the input)',
+  CLI_PROJECT_ROOT: '  --project-root <dirs>  Project root(s) for path simplification, comma-separated\n' +
+                    '                  (detected from the referenced files by default)',
+  CLI_SPLIT: '  --split <s>     Split into parts with a parent index: turns:<n>, summary\n' +
+             '                  (at each conversation summary) or size:<bytes>[k|m]',
+  CLI_TOC: '  --toc           Add a table of contents linking to every turn (Markdown)',
+  CLI_FILES_TOUCHED: '  --files-touched Add a "Files touched" section and frontmatter lists (Markdown)',
+  CLI_TERMINAL_LINES: '  --terminal-lines <n>  Show at most <n> lines of each terminal output (first and last ones)',
+  CLI_LINK_FILES: '  --link-files    Link referenced files of the local project, report missing ones (Markdown)',
+  CLI_LINE_RANGES: '  --line-ranges   With --link-files, link #file: line ranges to their lines',
+  CLI_CHECK: '  --check         Write nothing, exit with code 1 if a file is not formatted or would change',
+  CLI_DIFF: '  --diff          Write nothing, print a unified diff of what would be written',
+  CLI_ORDER: '  --order <o>     Merge command: session order, date (default) or args',
+  CLI_MERGE_OUTPUT: '  -o, --output <file>  Merge, prompts and dataset commands: output file (default: stdout)',
+  CLI_NO_DEDUPE: '  --no-dedupe     Prompts command: keep near-identical prompts',
+  CLI_RECORDS: '  --records <r>   Dataset command: one record per conversation (default) or turn',
+  CLI_NO_ACTIONS: '  --no-actions    Dataset command: strip technical actions',
+  CLI_NO_COMMANDS: '  --no-commands   Dataset command: strip terminal commands and their output',
+  CLI_STATS_JSON: '  --stats-json    Stats command: print the statistics as JSON',
   CLI_HELP: '  --help, -h      Display this help',
   CLI_EXAMPLES: 'Examples:',
   CLI_EX1: '  node scripts/format-chat-session.js prompts/session.md',
   CLI_EX2: '  node scripts/format-chat-session.js prompts/session.md prompts/formatted.md',
   CLI_EX3: '  node scripts/format-chat-session.js prompts/session.md --force',
+  CLI_EX4: '  node scripts/format-chat-session.js prompts/session.md --format html',
+  CLI_EX5: '  node scripts/format-chat-session.js "prompts/**/*.md" --out-dir formatted/',
+  CLI_EX6: '  node scripts/format-chat-session.js --watch prompts/inbox',
+  CLI_EX7: '  node scripts/format-chat-session.js stats prompts/session.md',
+  CLI_EX8: '  node scripts/format-chat-session.js prompts/session.md --split turns:20',
+  CLI_EX9: '  node scripts/format-chat-session.js merge a.md b.md c.md -o feature.md',
+  CLI_EX10: '  node scripts/format-chat-session.js prompts/ --check',
+  CLI_EX11: '  node scripts/format-chat-session.js prompts "sessions/**/*.md" -o cookbook.md',
+  CLI_EX12: '  node scripts/format-chat-session.js dataset "sessions/**/*.md" --records turn --redact -o eval.jsonl',
+  CLI_PIPE: 'Pipe mode:',
+};
+
+// Output formats and their default file extensions
+export const OUTPUT_FORMATS = {
+  markdown: '.md',
+  html: '.html',
+  json: '.json',
 };
 
 // Technical actions to detect and condense
 export const ACTION_PATTERNS = [
   /^Read \[\]\(file:\/\/(.+?)\)/,
   /^Created \[\]\(file:\/\/(.+?)\)/,
-  /^Using "Replace String in File"/,
+  /^Using "(?:Multi-)?Replace String in File"/,
   /^Searched text for/,
   /^Updated todo list/,
   /^Completed \(\d+\/\d+\)/,
@@ -69,9 +225,39 @@ export const ACTION_PATTERNS = [
   /^Created \d+ todos/,
 ];
 
+// Action types for the structured session model (first match wins)
+export const ACTION_TYPES = [
+  { type: 'read', pattern: /^Read\b/ },
+  { type: 'todo', pattern: /^(?:Created \d+ todos|Updated todo list|Completed \(\d+\/\d+\))/ },
+  { type: 'create', pattern: /^Created\b/ },
+  { type: 'edit', pattern: /^(?:Edited\b|Using "(?:Multi-)?Replace String|Made changes\.)/ },
+  { type: 'search', pattern: /^Searched\b/ },
+  { type: 'summary', pattern: /^Summarized conversation history/ },
+];
+
+// Structured session model schema (bump VERSION on breaking changes)
+export const SESSION_SCHEMA = {
+  NAME: 'smyp-session',
+  VERSION: 1,
+};
+
 // Pattern to detect terminal commands (kept visible in response flow)
 export const TERMINAL_COMMAND_PATTERN = /^Ran terminal command: (.+)$/;
 
+// Exit status line ending a terminal output
+export const TERMINAL_EXIT_PATTERN = /^(?:Command exited with code|Exit code:?)\s+(-?\d+)\.?$/i;
+
+// Error markers of a terminal output (a failed command when the exit code is unknown)
+export const TERMINAL_ERROR_PATTERNS = [
+  /^npm (?:ERR!|error)/,
+  /^\s*\w*Error:/,
+  /^(?:error|fatal)(?:\[\w+\])?:/i,
+  /: error TS\d+:/,
+  /^\s*FAIL\b/,
+  /^Traceback \(most recent call last\):/,
+  /\b[1-9]\d* (?:failed|failing)\b/,
+];
+
 // Noise patterns to ignore (UI artifacts from long chat sessions)
 export const NOISE_PATTERNS = [
   /^Continue to iterate\?$/,
@@ -0,0 +1,136 @@
+/**
+ * @file dataset.js
+ * @description Chat datasets: the turns of sessions as `{"messages": [...]}`
+ * records (JSONL), for fine-tuning or evaluation sets
+ */
+
+import { analyzeSession } from './format.js';
+import { formatActionList } from './formatters.js';
+import { splitTerminalCommands } from './terminal.js';
+import { fenceBlock } from './fences.js';
+import { unformatSections } from './unformat.js';
+import { compileRedactionRules, redactValues } from './redaction.js';
+import { ConfigurationError } from './errors.js';
+
+// Record granularity: one record per conversation, or per turn
+export const DATASET_RECORDS = ['conversation', 'turn'];
+
+/**
+ * Validates a record granularity
+ * @param {string} [records='conversation'] - `conversation` or `turn`
+ * @returns {string} Record granularity
+ * @throws {ConfigurationError} If the granularity is unknown
+ */
+export const parseDatasetRecords = (records = 'conversation') => {
+  if (!DATASET_RECORDS.includes(records)) {
+    throw new ConfigurationError(`Unknown dataset records: ${records} (available: ${DATASET_RECORDS.join(', ')})`);
+  }
+  return records;
+};
+
+/**
+ * Chat message of a record
+ * @typedef {Object} DatasetMessage
+ * @property {'user'|'assistant'} role - Speaker
+ * @property {string} content - Message text (Markdown)
+ */
+
+/**
+ * Renders a terminal command as a `bash` block, followed by its output
+ * @param {import('./terminal.js').TerminalCommand} terminalCommand - Command and output
+ * @returns {string} Markdown
+ */
+const renderCommand = ({ command, output }) => {
+  const block = fenceBlock(command, 'bash');
+  return output === null ? block : `${block}\n\n${fenceBlock(output, 'text')}`;
+};
+
+/**
+ * Builds the assistant message of a merged agent-response section: its text,
+ * and its technical actions and terminal commands when kept
+ * @param {object} section - Merged agent-response section
+ * @param {Array<string>} projectRoots - Project roots
+ * @param {{actions: boolean, commands: boolean}} keep - Parts to keep
+ * @returns {string} Message text (empty if nothing is kept)
+ */
+const assistantContent = (section, projectRoots, keep) => {
+  const text = [].concat(section.content || []).map(part => part.trim()).filter(Boolean).join('\n\n');
+
+  return text
+    .split(/__ACTION_PLACEHOLDER_(\d+)__/)
+    .flatMap((part, index) => {
+      // Odd indexes are captured placeholder numbers
+      if (index % 2 === 1) {
+        const actions = [].concat(section.actions?.[Number(part)]?.content || []);
+        const { list, count } = formatActionList(actions, projectRoots);
+        return keep.actions && count > 0 ? [list] : [];
+      }
+      return splitTerminalCommands(part).flatMap(segment => {
+        if (segment.type !== 'text') return keep.commands ? [renderCommand(segment)] : [];
+        const trimmed = segment.text.trim();
+        return trimmed ? [trimmed] : [];
+      });
+    })
+    .join('\n\n');
+};
+
+/**
+ * Converts a session into chat records: its turns as user and assistant
+ * messages. Turns without a prompt or with an empty response are left out.
+ * Formatted documents are re-parsed, their prompts, actions and terminal
+ * commands brought back to their raw form.
+ * @param {string} content - Session content (transcript, VS Code JSON export or formatted document)
+ * @param {object} [options] - Export and analysis options (see `analyzeSession()`)
+ * @param {string} [options.records='conversation'] - One record per `conversation` or per `turn`
+ * @param {boolean} [options.actions=true] - Keep technical actions (as a list, edit diffs included)
+ * @param {boolean} [options.commands=true] - Keep terminal commands and their output
+ * @param {boolean} [options.redact=false] - Redact secrets and personal data (the user identifier
+ *   included) from the messages
+ * @param {Array<object>} [options.redactionRules=[]] - Additional redaction rules ({ name, pattern, replacement })
+ * @returns {Array<{messages: Array<DatasetMessage>}>} Records (none if no turn is left)
+ * @throws {ConfigurationError} If the record granularity is unknown or a redaction rule is invalid
+ * @throws {import('./errors.js').UserIdentifierNotFoundError} If no user prompt can be detected
+ */
+export const buildDataset = (content, {
+  records = 'conversation',
+  actions = true,
+  commands = true,
+  redact: shouldRedact = false,
+  redactionRules = [],
+  ...options
+} = {}) => {
+  parseDatasetRecords(records);
+  const rules = compileRedactionRules(redactionRules);
+
+  const { sections, projectRoots, userIdentifier } = analyzeSession(content, options);
+  const turns = new Map();
+  for (const section of unformatSections(sections)) {
+    if (!section.turn) continue;
+    const turn = turns.get(section.turn) || { user: '', assistant: [] };
+    if (section.type === 'user-prompt') {
+      turn.user = [].concat(section.content || []).join('\n').trim();
+    } else if (section.type === 'agent-response') {
+      turn.assistant.push(assistantContent(section, projectRoots, { actions, commands }));
+    }
+    turns.set(section.turn, turn);
+  }
+
+  const exchanges = [...turns.values()]
+    .map(({ user, assistant }) => [
+      { role: 'user', content: user },
+      { role: 'assistant', content: assistant.filter(Boolean).join('\n\n') },
+    ])
+    .filter(messages => messages.every(message => message.content !== ''));
+
+  const result = records === 'turn'
+    ? exchanges.map(messages => ({ messages }))
+    : exchanges.length > 0 ? [{ messages: exchanges.flat() }] : [];
+  return shouldRedact ? redactValues(result, { userIdentifier, rules }).value : result;
+};
+
+/**
+ * Renders records as JSONL, one record per line
+ * @param {Array<{messages: Array<DatasetMessage>}>} records - Records
+ * @returns {string} JSONL
+ */
+export const renderDataset = (records) => records.map(record => `${JSON.stringify(record)}\n`).join('');
@@ -0,0 +1,139 @@
+/**
+ * @file diff.js
+ * @description Line diff (Myers algorithm) and unified diff rendering
+ */
+
+/**
+ * Edit operation on a line
+ * @typedef {Object} LineEdit
+ * @property {string} type - ' ' (kept), '-' (removed) or '+' (added)
+ * @property {string} line - Line text (with its line break)
+ * @property {number} before - Index of the line in the old text (or of the next one, for added lines)
+ * @property {number} after - Index of the line in the new text (or of the next one, for removed lines)
+ */
+
+/**
+ * Computes the shortest edit script between two lists of lines (Myers)
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<LineEdit>} Edits, in order
+ */
+export const diffLines = (a, b) => {
+  const max = a.length + b.length;
+  // Furthest x reached on each diagonal k, stored at k + offset
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = false;
+
+  for (let d = 0; d <= max && !found; d++) {
+    // Only diagonals -d..d can be read when walking back from step d
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      const down = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]);
+      let x = down ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Walk the trace back from the end of both texts
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = (diagonal) => trace[d][diagonal + d + 1];
+    const k = x - y;
+    const down = k === -d || (k !== d && previous(k - 1) < previous(k + 1));
+    const previousK = down ? k + 1 : k - 1;
+    const previousX = d === 0 ? 0 : previous(previousK);
+    const previousY = d === 0 ? 0 : previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      x--;
+      y--;
+      edits.push({ type: ' ', line: a[x], before: x, after: y });
+    }
+    if (d > 0) {
+      if (down) {
+        edits.push({ type: '+', line: b[y - 1], before: x, after: y - 1 });
+      } else {
+        edits.push({ type: '-', line: a[x - 1], before: x - 1, after: y });
+      }
+    }
+    x = previousX;
+    y = previousY;
+  }
+
+  return edits.reverse();
+};
+
+/**
+ * Formats the range of a hunk header ("12,3"; an empty range points at the line before it)
+ * @param {number} start - Index of the first line
+ * @param {number} count - Number of lines
+ * @returns {string} Range
+ */
+const hunkRange = (start, count) => {
+  if (count === 0) return `${start},0`;
+  return count === 1 ? String(start + 1) : `${start + 1},${count}`;
+};
+
+/**
+ * Splits a text into lines, each keeping its line break (the last one may have none)
+ * @param {string} text - Text
+ * @returns {Array<string>} Lines
+ */
+const splitLines = (text) => text.match(/[^\n]*\n|[^\n]+$/g) || [];
+
+/**
+ * Renders the unified diff of two texts
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @param {object} [options] - Rendering options
+ * @param {string} [options.fromFile='a'] - Old file label
+ * @param {string} [options.toFile='b'] - New file label
+ * @param {number} [options.context=3] - Unchanged lines around each change
+ * @returns {string} Unified diff (empty if the texts are identical)
+ */
+export const unifiedDiff = (before, after, { fromFile = 'a', toFile = 'b', context = 3 } = {}) => {
+  if (before === after) return '';
+
+  const edits = diffLines(splitLines(before), splitLines(after));
+  const changes = edits
+    .map((edit, index) => (edit.type === ' ' ? -1 : index))
+    .filter(index => index >= 0);
+
+  // Changes closer than twice the context share a hunk
+  const hunks = [];
+  for (const index of changes) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const { start, end } of hunks) {
+    const slice = edits.slice(Math.max(0, start - context), Math.min(edits.length, end + context + 1));
+    const oldCount = slice.filter(edit => edit.type !== '+').length;
+    const newCount = slice.filter(edit => edit.type !== '-').length;
+    lines.push(`@@ -${hunkRange(slice[0].before, oldCount)} +${hunkRange(slice[0].after, newCount)} @@`);
+    slice.forEach(edit => {
+      lines.push(`${edit.type}${edit.line.replace(/\n$/, '')}`);
+      if (!edit.line.endsWith('\n')) lines.push('\\ No newline at end of file');
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+};
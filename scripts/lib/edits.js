@@ -0,0 +1,74 @@
+/**
+ * @file edits.js
+ * @description String replacement edits ("Replace String in File" actions):
+ * payload parsing and rendering as diffs
+ */
+
+import { diffLines } from './diff.js';
+import { matchFence, closesFence, fenceBlock } from './fences.js';
+import { normalizePath } from './paths.js';
+
+// Actions of the string replacement tools, followed by their payload
+export const EDIT_ACTION_PATTERN = /^Using "(?:Multi-)?Replace String in File"/;
+
+/**
+ * String replacement in a file
+ * @typedef {Object} Edit
+ * @property {string} filePath - Edited file (normalized absolute path)
+ * @property {string} oldText - Replaced text
+ * @property {string} newText - Replacement text
+ */
+
+/**
+ * Parses the payload of an edit action: the tool input printed as JSON in a
+ * fenced block after the action line, `{filePath, oldString, newString}` or
+ * `{replacements: [...]}` for a batch
+ * @param {string} action - Raw action, its payload on the following lines
+ * @returns {Array<Edit>} Edits, in order (empty if the payload is missing or invalid)
+ */
+export const parseEditPayload = (action) => {
+  const [line, opening, ...rest] = action.split('\n');
+  const fence = opening !== undefined && matchFence(opening.trim());
+  if (!EDIT_ACTION_PATTERN.test(line) || !fence) return [];
+
+  const end = rest.findIndex(text => closesFence(text.trim(), fence));
+  let input;
+  try {
+    input = JSON.parse(rest.slice(0, end === -1 ? rest.length : end).join('\n'));
+  } catch {
+    return [];
+  }
+
+  const replacements = Array.isArray(input?.replacements) ? input.replacements : [input];
+  return replacements
+    .filter(replacement => typeof replacement?.filePath === 'string' &&
+      typeof replacement.oldString === 'string' &&
+      typeof replacement.newString === 'string')
+    .map(({ filePath, oldString, newString }) => ({
+      filePath: normalizePath(filePath),
+      oldText: oldString,
+      newText: newString,
+    }));
+};
+
+/**
+ * Splits a replaced text into lines (none for an empty text)
+ * @param {string} text - Text
+ * @returns {Array<string>} Lines
+ */
+const textLines = (text) => (text === '' ? [] : text.replace(/\r\n/g, '\n').split('\n'));
+
+/**
+ * Renders edits of one file as a fenced `diff` block, replacements separated
+ * by `@@` lines. The fence is longer than any backtick run of the edits.
+ * @param {Array<{oldText: string, newText: string}>} edits - Edits of the file
+ * @returns {string} Fenced diff block
+ */
+export const renderEditDiff = (edits) => {
+  const lines = edits.flatMap(({ oldText, newText }) => [
+    ...(edits.length > 1 ? ['@@'] : []),
+    ...diffLines(textLines(oldText), textLines(newText)).map(({ type, line }) => `${type}${line}`),
+  ]);
+
+  return fenceBlock(lines.join('\n'), 'diff');
+};
@@ -0,0 +1,60 @@
+/**
+ * @file errors.js
+ * @description Error classes thrown by the library (the CLI maps them to exit codes)
+ */
+
+/**
+ * Base class for all smyp errors
+ */
+export class SmypError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [code='SMYP_ERROR'] - Machine-readable error code
+   */
+  constructor(message, code = 'SMYP_ERROR') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * The user identifier (speaker label of prompts) could not be detected
+ */
+export class UserIdentifierNotFoundError extends SmypError {
+  constructor(message) {
+    super(message, 'NO_USER_ID');
+  }
+}
+
+/**
+ * The content is already formatted and the requested operation needs the raw session
+ */
+export class AlreadyProcessedError extends SmypError {
+  constructor(message) {
+    super(message, 'ALREADY_PROCESSED');
+  }
+}
+
+/**
+ * An option, profile, rule or configuration value is invalid
+ */
+export class ConfigurationError extends SmypError {
+  constructor(message) {
+    super(message, 'INVALID_CONFIGURATION');
+  }
+}
+
+/**
+ * A file could not be read or written
+ */
+export class FileAccessError extends SmypError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} filePath - Path of the file
+   */
+  constructor(message, filePath) {
+    super(message, 'FILE_ACCESS');
+    this.filePath = filePath;
+  }
+}
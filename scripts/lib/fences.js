@@ -0,0 +1,175 @@
+/**
+ * @file fences.js
+ * @description Code block tracking following CommonMark: fenced blocks (fence
+ * character, length and indentation, inside list items and blockquotes) and
+ * indented blocks
+ */
+
+// Opening or closing fence: 3+ backticks or tildes, then the info string
+const FENCE_PATTERN = /^([ \t]*)(`{3,}|~{3,})(.*)$/;
+
+// Blockquote marker at the start of a line
+const QUOTE_PATTERN = /^ {0,3}>[ \t]?/;
+
+// List item marker (bullet or ordered) and the spaces after it
+const LIST_ITEM_PATTERN = /^([ \t]*)([-*+]|\d{1,9}[.)])([ \t]+|$)/;
+
+/**
+ * Code block state of a line
+ * @typedef {Object} FenceState
+ * @property {boolean} inCode - Whether the line belongs to a code block (fence lines included)
+ * @property {string|null} fence - 'opening' or 'closing' for fence lines, null otherwise
+ */
+
+/**
+ * Measures the width of an indentation (tabs stop every 4 columns)
+ * @param {string} indentation - Leading spaces and tabs
+ * @returns {number} Width in columns
+ */
+const indentWidth = (indentation) => {
+  let width = 0;
+  for (const char of indentation) {
+    width = char === '\t' ? width + 4 - (width % 4) : width + 1;
+  }
+  return width;
+};
+
+/**
+ * Strips blockquote markers from the start of a line
+ * @param {string} line - Line
+ * @param {number} [max=Infinity] - Maximum number of markers to strip
+ * @returns {{depth: number, text: string}} Markers stripped and remaining text
+ */
+const stripQuotes = (line, max = Infinity) => {
+  let depth = 0;
+  let text = line;
+  let match;
+  while (depth < max && (match = text.match(QUOTE_PATTERN))) {
+    text = text.slice(match[0].length);
+    depth++;
+  }
+  return { depth, text };
+};
+
+/**
+ * Matches a fence line: a backtick fence has no backtick in its info string
+ * @param {string} line - Line (blockquote markers stripped)
+ * @returns {{char: string, length: number, indent: number, info: string}|null} Fence, or null
+ */
+export const matchFence = (line) => {
+  const match = line.match(FENCE_PATTERN);
+  if (!match) return null;
+
+  const [, indentation, run, info] = match;
+  if (run[0] === '`' && info.includes('`')) return null;
+  return { char: run[0], length: run.length, indent: indentWidth(indentation), info: info.trim() };
+};
+
+/**
+ * Tells whether a line closes a fence: same character, at least as long,
+ * no info string, and at most 3 columns past the container of the fence
+ * @param {string} line - Line (blockquote markers stripped)
+ * @param {{char: string, length: number, container?: number}} fence - Open fence
+ * @returns {boolean} True if the line closes the fence
+ */
+export const closesFence = (line, fence) => {
+  const closing = matchFence(line);
+  return closing !== null &&
+         closing.char === fence.char &&
+         closing.length >= fence.length &&
+         closing.info === '' &&
+         closing.indent - (fence.container || 0) <= 3;
+};
+
+/**
+ * Creates a code block tracker, to be called on each line in order.
+ * A fence may be indented inside a list item and is closed by a fence of the
+ * same character, at least as long; it also ends with the list item or
+ * blockquote holding it. A line indented by 4+ columns past its container
+ * after a blank line starts an indented code block.
+ * @returns {function(string): FenceState} Tracker returning the state of each line
+ * @example
+ * const track = createFenceTracker();
+ * lines.map(track); // [{inCode: true, fence: 'opening'}, {inCode: true, fence: null}, ...]
+ */
+export const createFenceTracker = () => {
+  let fence = null;
+  let indented = false;
+  let previousBlank = true;
+  // Content indentation of the open list items, and their blockquote depth
+  let lists = [];
+  let listDepth = 0;
+
+  return (line) => {
+    if (fence) {
+      const { depth, text } = stripQuotes(line, fence.depth);
+      const blank = text.trim() === '';
+      const leavesContainer = depth < fence.depth ||
+        (!blank && indentWidth(text.match(/^[ \t]*/)[0]) < fence.container);
+
+      if (!leavesContainer) {
+        if (!closesFence(text, fence)) return { inCode: true, fence: null };
+        fence = null;
+        previousBlank = false;
+        return { inCode: true, fence: 'closing' };
+      }
+      fence = null;
+    }
+
+    const { depth, text } = stripQuotes(line);
+    const blank = text.trim() === '';
+    const indent = indentWidth(text.match(/^[ \t]*/)[0]);
+
+    if (depth !== listDepth) {
+      lists = [];
+      listDepth = depth;
+    }
+    if (!blank) {
+      while (lists.length > 0 && lists[lists.length - 1] > indent) lists.pop();
+    }
+    const container = lists.length > 0 ? lists[lists.length - 1] : 0;
+
+    if (indented && (blank || indent - container >= 4)) return { inCode: true, fence: null };
+    indented = !blank && previousBlank && indent - container >= 4;
+    if (indented) {
+      previousBlank = false;
+      return { inCode: true, fence: null };
+    }
+
+    const opening = blank || indent - container > 3 ? null : matchFence(text);
+    if (opening) {
+      fence = { ...opening, depth, container };
+      previousBlank = false;
+      return { inCode: true, fence: 'opening' };
+    }
+
+    const item = text.match(LIST_ITEM_PATTERN);
+    if (item) {
+      const markerEnd = indentWidth(item[1]) + item[2].length;
+      const spacing = indentWidth(' '.repeat(markerEnd) + item[3]) - markerEnd;
+      lists.push(markerEnd + (spacing >= 1 && spacing <= 4 ? spacing : 1));
+    }
+    previousBlank = blank;
+    return { inCode: false, fence: null };
+  };
+};
+
+/**
+ * Computes the code block state of each line
+ * @param {Array<string>} lines - Lines
+ * @returns {Array<FenceState>} State of each line
+ */
+export const trackFences = (lines) => lines.map(createFenceTracker());
+
+/**
+ * Wraps text in a fenced code block, the fence being longer than any
+ * backtick run of the text
+ * @param {string} text - Code
+ * @param {string} [info=''] - Info string (language)
+ * @returns {string} Fenced code block
+ */
+export const fenceBlock = (text, info = '') => {
+  const longestRun = (text.match(/`+/g) || []).reduce((longest, run) => Math.max(longest, run.length), 0);
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}${info}\n${text}\n${fence}`;
+};
@@ -0,0 +1,571 @@
+/**
+ * @file format.js
+ * @description Side-effect-free formatting pipeline (parse, merge, render, redact)
+ */
+
+import { basename } from 'path';
+import { MARKERS, TEXTS, OUTPUT_FORMATS } from './constants.js';
+import {
+  isAlreadyProcessed,
+  extractUserIdentifier,
+  detectProfile,
+  parseContent,
+  parseFormatted,
+  parseFrontmatter,
+  splitRawTail,
+  mergeSections,
+  numberTurns,
+} from './parsers.js';
+import { parseJsonExport } from './importers.js';
+import { detectProjectRoots, findRoot, normalizePath } from './paths.js';
+import {
+  formatSection,
+  formatTableOfContents,
+  generateFrontmatter,
+  promptExcerpt,
+  sectionExcerpt,
+  turnAnchor,
+} from './formatters.js';
+import { renderHtml, renderJson } from './renderers.js';
+import { buildSessionModel } from './model.js';
+import { collectTouchedFiles, formatFilesTouched, touchedPaths } from './manifest.js';
+import {
+  splitSections,
+  partFileName,
+  turnRange,
+  formatPartNavigation,
+  generateSplitIndex,
+} from './split.js';
+import { redact, redactHtml, redactJson, compileRedactionRules } from './redaction.js';
+import { createLinkResolver } from './links.js';
+import { resolveProfile } from './profiles.js';
+import { createConfig, applyConfig, localizeConfig } from './config.js';
+import { DEFAULT_LOCALE, LOCALES, withLocale } from './i18n.js';
+import { parseLineLimit } from './terminal.js';
+import {
+  compose,
+  ensureMarkdownSpacing,
+  removeTrailingSpaces,
+  cleanExcessiveLineBreaks,
+} from './transformers.js';
+import {
+  AlreadyProcessedError,
+  ConfigurationError,
+  UserIdentifierNotFoundError,
+} from './errors.js';
+
+/**
+ * Logger receiving progress messages
+ * @typedef {Object} Logger
+ * @property {Function} log - Receives informational messages
+ * @property {Function} warn - Receives warnings
+ */
+
+/** @type {Logger} */
+const SILENT_LOGGER = { log: () => {}, warn: () => {} };
+
+// Joins the documents of a split session, so that they are redacted in one pass
+const DOCUMENT_BOUNDARY = '\n<!-- smyp-document-boundary -->\n';
+
+/**
+ * Normalizes an output format name (accepts the "md" alias)
+ * @param {string} [format='markdown'] - Format name
+ * @returns {string} Normalized format
+ * @throws {ConfigurationError} If the format is unknown
+ */
+export const normalizeFormat = (format = 'markdown') => {
+  const normalized = format === 'md' ? 'markdown' : format;
+  if (!OUTPUT_FORMATS[normalized]) {
+    throw new ConfigurationError(
+      `Unknown format: ${format} (available: ${Object.keys(OUTPUT_FORMATS).join(', ')})`
+    );
+  }
+  return normalized;
+};
+
+/**
+ * Analyzes a formatted document: its sections are re-parsed from the markers,
+ * the session information is read from the frontmatter. Raw turns pasted after
+ * the last section are parsed as a raw session and numbered after the existing turns.
+ * @param {string} content - Formatted content
+ * @param {object} options - Analysis options (see `analyzeSession()`)
+ * @param {string|Array<string>} [options.projectRoot] - Project root(s), read from the frontmatter if omitted
+ * @param {Logger} options.logger - Progress logger
+ * @returns {object} Same shape as `analyzeSession()`, with the number of `appended` sections (profile and user
+ *   identifier come from the raw tail, unknown without one)
+ */
+const analyzeFormatted = (content, { profile, projectRoot, snapProjectRoot, config, logger }) => {
+  const log = (message) => logger.log(message);
+  const frontmatter = parseFrontmatter(content);
+  const [partIndex, partTotal] = (frontmatter.part || '').split('/').map(Number);
+  const speakerProfile = typeof profile === 'string' ? resolveProfile(profile) : profile;
+  const { formatted, tail } = splitRawTail(content, speakerProfile);
+
+  // Roots found in the raw tail are added, unless an existing root contains them
+  const documentRoots = projectRoot
+    ? [].concat(projectRoot).map(normalizePath)
+    : [].concat(frontmatter.projectRoots || frontmatter.projectRoot || []).filter(root => root !== 'N/A');
+  const tailRoots = tail && !projectRoot ? detectProjectRoots(tail, { snap: snapProjectRoot }) : [];
+  const projectRoots = [...documentRoots, ...tailRoots.filter(root => !findRoot(root, documentRoots))];
+  log(`${TEXTS.DETECTED_PROJECT_ROOT} ${projectRoots.join(', ') || 'None'}`);
+
+  log(TEXTS.ANALYZING_CONTENT);
+  const sections = numberTurns(parseFormatted(formatted));
+  log(`   ${TEXTS.FOUND_SECTIONS} ${sections.length} ${TEXTS.SECTIONS}`);
+
+  const raw = tail
+    ? analyzeSession(tail, {
+      profile: speakerProfile,
+      projectRoot: projectRoots.length > 0 ? projectRoots : undefined,
+      config,
+      logger: { log: () => {}, warn: logger.warn },
+    })
+    : null;
+  const lastTurn = Math.max(0, ...sections.map(section => section.turn || 0));
+  const appended = (raw?.sections || []).map(section => ({ ...section, turn: section.turn + lastTurn }));
+  if (raw) {
+    log(`${TEXTS.APPENDED_SECTIONS} ${appended.length} ${TEXTS.SECTIONS}`);
+  }
+
+  return {
+    sections: [...sections, ...appended],
+    rawSections: sections.length + (raw?.rawSections || 0),
+    projectRoots,
+    profile: raw?.profile || null,
+    userIdentifier: raw?.userIdentifier || null,
+    appended: appended.length,
+    metadata: {
+      sourceFile: frontmatter.sourceFile || null,
+      agent: frontmatter.agent || null,
+      models: [].concat(frontmatter.models || []),
+      startDate: frontmatter.sessionStart || null,
+      endDate: frontmatter.sessionEnd || null,
+      sources: [].concat(frontmatter.sources || []),
+      processedDate: frontmatter.processedDate || null,
+      updatedDate: frontmatter.updatedDate || null,
+      // A part of a split session keeps its place among the parts
+      part: partIndex && partTotal && frontmatter.parent
+        ? { index: partIndex, total: partTotal, parent: frontmatter.parent }
+        : null,
+    },
+  };
+};
+
+/**
+ * Analyzes a raw session: detects its project roots, speaker profile and user
+ * identifier, then parses and merges its sections (numbered by turn). Formatted
+ * documents are re-parsed from their markers, keeping their turn IDs; raw turns
+ * pasted after them are parsed and numbered next (`appended` counts their sections).
+ * @param {string} content - Raw session content (transcript or VS Code JSON export)
+ * @param {object} [options] - Analysis options
+ * @param {string|object} [options.profile] - Speaker profile, by name or object (auto-detected if omitted)
+ * @param {string|Array<string>} [options.projectRoot] - Project root(s), detected from the referenced files if omitted
+ * @param {boolean} [options.snapProjectRoot=false] - Snap detected roots to local directories holding .git or package.json
+ * @param {object} [options.config] - Project configuration, compiled or as a definition
+ * @param {Logger} [options.logger] - Progress logger (silent by default)
+ * @returns {{sections: Array, rawSections: number, projectRoots: Array<string>, profile: object|null,
+ *   userIdentifier: string|null, metadata: object|undefined, appended?: number}} Merged sections and detected
+ *   session information (`profile` is null and `metadata` set for JSON exports and formatted documents)
+ * @throws {UserIdentifierNotFoundError} If no user prompt can be detected
+ * @throws {ConfigurationError} If an option is invalid
+ */
+export const analyzeSession = (content, {
+  profile,
+  projectRoot: projectRootOverride,
+  snapProjectRoot = false,
+  config: configDefinition,
+  logger = SILENT_LOGGER,
+} = {}) => {
+  const log = (message) => logger.log(message);
+  const warn = (message) => logger.warn(message);
+  const config = createConfig(configDefinition);
+
+  if (isAlreadyProcessed(content)) {
+    return analyzeFormatted(content, {
+      profile,
+      projectRoot: projectRootOverride,
+      snapProjectRoot,
+      config,
+      logger,
+    });
+  }
+
+  // Structured JSON exports carry their own sections and metadata
+  const jsonExport = parseJsonExport(content);
+  if (jsonExport) {
+    log(TEXTS.DETECTED_JSON_EXPORT);
+  }
+
+  // Detect project roots (from the converted actions when the input is JSON)
+  const projectRoots = projectRootOverride
+    ? [].concat(projectRootOverride).map(normalizePath)
+    : detectProjectRoots(
+      jsonExport ? jsonExport.sections.map(s => s.raw).join('\n') : content,
+      { snap: snapProjectRoot }
+    );
+  log(`${TEXTS.DETECTED_PROJECT_ROOT} ${projectRoots.join(', ') || 'None'}`);
+  if (projectRoots.length === 0) {
+    warn(TEXTS.NO_PROJECT_ROOT);
+  }
+
+  // Select speaker profile (configured pattern lists apply to any profile)
+  const requestedProfile = typeof profile === 'string' ? resolveProfile(profile) : profile;
+  const selectedProfile = jsonExport ? null : (requestedProfile || detectProfile(content));
+  const speakerProfile = selectedProfile && applyConfig(selectedProfile, config);
+  if (speakerProfile) {
+    log(`${TEXTS.DETECTED_PROFILE} ${speakerProfile.name}`);
+  }
+
+  // Extract user identifier
+  const userIdentifier = jsonExport
+    ? jsonExport.userIdentifier
+    : speakerProfile && extractUserIdentifier(content, speakerProfile);
+  if (!userIdentifier) {
+    throw new UserIdentifierNotFoundError(TEXTS.NO_USER_ID);
+  }
+  log(`${TEXTS.DETECTED_USER_ID} ${userIdentifier}`);
+
+  // Parse content
+  log(TEXTS.ANALYZING_CONTENT);
+  const rawSections = jsonExport
+    ? jsonExport.sections
+    : parseContent(content, userIdentifier, speakerProfile);
+  log(`   ${TEXTS.FOUND_SECTIONS} ${rawSections.length} ${TEXTS.SECTIONS_RAW}`);
+
+  // Merge consecutive sections
+  const sections = numberTurns(mergeSections(rawSections));
+  log(`   ${TEXTS.AFTER_MERGE} ${sections.length} ${TEXTS.SECTIONS}`);
+
+  return {
+    sections,
+    rawSections: rawSections.length,
+    projectRoots,
+    profile: speakerProfile,
+    userIdentifier,
+    metadata: jsonExport?.metadata,
+  };
+};
+
+/**
+ * Adapts the configuration to an already formatted document: it is rendered
+ * in the language recorded in its frontmatter, unless a forced reprocessing
+ * is given a language (`--lang`, configured)
+ * @param {string} content - Session content
+ * @param {object} config - Compiled configuration (see config.js)
+ * @param {boolean} force - Whether the document is reprocessed
+ * @returns {object} Configuration of the document
+ */
+const documentConfig = (content, config, force) => {
+  const keepsLang = !force || !config.lang || config.defaultLang;
+  const lang = keepsLang && isAlreadyProcessed(content) ? parseFrontmatter(content).lang : null;
+  return lang && LOCALES[lang] ? localizeConfig(config, lang) : config;
+};
+
+/**
+ * Formats a chat session with the current messages (see `format()`)
+ * @param {string} content - Raw session content
+ * @param {object} options - Formatting options
+ * @returns {object} Formatting result
+ */
+const formatSession = (content, {
+  format: outputFormat = 'markdown',
+  force = false,
+  inputFile = 'stdin',
+  profile,
+  redact: shouldRedact = false,
+  redactionRules = [],
+  projectRoot: projectRootOverride,
+  snapProjectRoot = false,
+  config: configDefinition,
+  toc = false,
+  filesTouched = false,
+  terminalLines,
+  linkFiles = false,
+  lineRanges = false,
+  outputFile,
+  split,
+  splitName,
+  processedDate = new Date().toISOString(),
+  logger = SILENT_LOGGER,
+} = {}) => {
+  const log = (message) => logger.log(message);
+  const warnings = [];
+  const warn = (message) => {
+    warnings.push(message);
+    logger.warn(message);
+  };
+
+  const targetFormat = normalizeFormat(outputFormat);
+  const rules = compileRedactionRules(redactionRules);
+  const config = createConfig(configDefinition);
+  const stats = {
+    projectRoot: null,
+    projectRoots: [],
+    userIdentifier: null,
+    profile: null,
+    config: config.source,
+    rawSections: 0,
+    sections: 0,
+    userPrompts: 0,
+    agentResponses: 0,
+    agentActions: 0,
+    firstPrompt: '',
+    startDate: null,
+    missingFiles: [],
+    redactions: [],
+  };
+
+  if (split && targetFormat !== 'markdown') {
+    throw new ConfigurationError(TEXTS.SPLIT_MARKDOWN_ONLY);
+  }
+  const renderOptions = {
+    terminalLines: terminalLines === undefined ? undefined : parseLineLimit(terminalLines),
+  };
+
+  // Redaction runs on the rendered output, once paths have been simplified
+  // (on the text and values of HTML and JSON outputs, never their markup)
+  const redactOutput = { html: redactHtml, json: redactJson }[targetFormat] || redact;
+  const finalize = (output, parts) => {
+    if (!shouldRedact) return { output, stats, warnings, ...(parts && { parts }) };
+
+    const documents = [output, ...(parts || []).map(part => part.output)];
+    const { text, report } = redactOutput(documents.join(DOCUMENT_BOUNDARY), {
+      userIdentifier: stats.userIdentifier,
+      rules,
+    });
+    const total = report.reduce((sum, entry) => sum + entry.count, 0);
+    log(total > 0 ? `${TEXTS.REDACTED_VALUES} ${total}` : TEXTS.NOTHING_REDACTED);
+    report.forEach(({ detector, count, samples }) => {
+      log(`   - ${detector}: ${count} (${samples.join(', ')})`);
+    });
+    stats.redactions = report;
+    // The first prompt is shown outside the output (batch index)
+    stats.firstPrompt = redact(stats.firstPrompt, { userIdentifier: stats.userIdentifier, rules }).text;
+
+    const [redactedOutput, ...redactedParts] = text.split(DOCUMENT_BOUNDARY);
+    return {
+      output: redactedOutput,
+      stats,
+      warnings,
+      ...(parts && { parts: parts.map((part, index) => ({ ...part, output: redactedParts[index] })) }),
+    };
+  };
+
+  if (config.source) {
+    log(`${TEXTS.USING_CONFIG} ${config.source}`);
+  }
+
+  // Check if already processed (other formats need the raw session to render)
+  let appending = false;
+  if (isAlreadyProcessed(content)) {
+    if (targetFormat !== 'markdown') {
+      throw new AlreadyProcessedError(TEXTS.ALREADY_PROCESSED_RAW_NEEDED);
+    }
+    // Raw turns pasted after the formatted ones are appended to the document
+    const requestedProfile = typeof profile === 'string' ? resolveProfile(profile) : profile;
+    appending = Boolean(splitRawTail(content, requestedProfile).tail);
+    if (!force && !appending) {
+      warn(TEXTS.ALREADY_PROCESSED);
+      return finalize(content);
+    }
+    // Forced: the document is re-parsed from its markers and rendered again
+    log(force ? TEXTS.FORCED_REPROCESSING : TEXTS.APPENDING_TURNS);
+  }
+
+  const analysis = analyzeSession(content, {
+    profile,
+    projectRoot: projectRootOverride,
+    snapProjectRoot,
+    config,
+    logger: { log, warn },
+  });
+  const { sections, projectRoots, userIdentifier, metadata } = analysis;
+  const projectRoot = projectRoots[0] || null;
+  Object.assign(stats, {
+    projectRoot,
+    projectRoots,
+    userIdentifier,
+    profile: analysis.profile?.name || null,
+    rawSections: analysis.rawSections,
+    sections: sections.length,
+  });
+
+  // Statistics
+  stats.userPrompts = sections.filter(s => s.type === 'user-prompt').length;
+  stats.agentResponses = sections.filter(s => s.type === 'agent-response').length;
+  stats.agentActions = sections.filter(s => s.type === 'agent-action').length;
+  const firstPrompt = sections.find(s => s.type === 'user-prompt');
+  stats.firstPrompt = firstPrompt ? [].concat(firstPrompt.content).join('\n').trim() : '';
+  stats.startDate = metadata?.startDate || null;
+  log(`   - ${stats.userPrompts} ${TEXTS.USER_PROMPTS}`);
+  log(`   - ${stats.agentResponses} ${TEXTS.AGENT_RESPONSES}`);
+  log(`   - ${stats.agentActions} ${TEXTS.ACTION_SEQUENCES}`);
+
+  // Appending keeps the original processing date and records the update
+  const updated = analysis.appended > 0;
+  const sessionInfo = {
+    projectRoot,
+    projectRoots,
+    // A reprocessed document keeps the name of its original source
+    inputFile: metadata?.sourceFile || basename(inputFile),
+    processedDate: (appending && !force && metadata.processedDate) || processedDate,
+    metadata: updated ? { ...metadata, updatedDate: processedDate } : metadata,
+    visualMarkers: config.visualMarkers,
+  };
+
+  if (targetFormat === 'html') {
+    log(TEXTS.RENDERING_HTML);
+    return finalize(renderHtml(sections, { ...sessionInfo, ...renderOptions }));
+  }
+
+  if (targetFormat === 'json') {
+    log(TEXTS.RENDERING_JSON);
+    return finalize(renderJson(buildSessionModel(sections, {
+      ...sessionInfo,
+      userIdentifier,
+      profile: stats.profile,
+    })));
+  }
+
+  // Formatting (an appended document keeps its generated sections)
+  log(TEXTS.FORMATTING_CONTENT);
+  // Excerpts (headings, table of contents, index) are cut from the redacted
+  // prompts: a secret cut short would escape the redaction of the output
+  const redactedExcerpt = (section) => {
+    const { text } = redact([].concat(section.content || []).join('\n'), { userIdentifier, rules });
+    return promptExcerpt(text);
+  };
+  const excerptedSections = shouldRedact
+    ? sections.map(section => (section.type === 'user-prompt'
+      ? { ...section, excerpt: redactedExcerpt(section) }
+      : section))
+    : sections;
+  const links = linkFiles
+    ? createLinkResolver({ projectRoots, knownPaths: touchedPaths(sections, projectRoots), outputFile, lineRanges })
+    : undefined;
+  const sectionOptions = { ...renderOptions, links };
+
+  // Files referenced but missing from the project are reported once rendered
+  const reportMissingFiles = () => {
+    stats.missingFiles = [...(links?.missing || [])];
+    stats.missingFiles.forEach(path => warn(`${TEXTS.MISSING_FILE} ${path}`));
+  };
+  const withToc = toc || (appending && !force && content.includes(MARKERS.TOC));
+  const withFiles = filesTouched || (appending && !force && content.includes(MARKERS.FILES_TOUCHED));
+
+  /**
+   * Renders sections as a Markdown document
+   * @param {Array} documentSections - Sections of the document
+   * @param {object} [part] - Part of a split session (frontmatter and navigation)
+   * @returns {string} Formatted Markdown
+   */
+  const renderMarkdown = (documentSections, part) => {
+    const files = withFiles ? collectTouchedFiles(documentSections, projectRoots) : null;
+    const counts = sessionInfo.metadata?.updatedDate
+      ? {
+        userPrompts: documentSections.filter(s => s.type === 'user-prompt').length,
+        agentResponses: documentSections.filter(s => s.type === 'agent-response').length,
+      }
+      : null;
+    const documentPrompt = documentSections.find(s => s.type === 'user-prompt');
+    const frontmatter = generateFrontmatter({
+      ...sessionInfo,
+      files,
+      part,
+      counts,
+      firstPrompt: documentPrompt ? sectionExcerpt(documentPrompt) : '',
+      lang: config.lang || DEFAULT_LOCALE,
+      template: config.templates.frontmatter,
+    });
+    const navigation = part ? formatPartNavigation(part.parent, part.index, part.total) : '';
+
+    // Each turn starts with the anchor the table of contents and the manifest link to
+    const formattedSections = documentSections
+      .map((section, index) => {
+        const formatted = formatSection(section, projectRoots, config.visualMarkers, config.templates, sectionOptions);
+        const startsTurn = section.turn && section.turn !== documentSections[index - 1]?.turn;
+        return startsTurn ? `<a id="${turnAnchor(section.turn)}"></a>\n${formatted}` : formatted;
+      })
+      .join('');
+
+    const tableOfContents = withToc ? formatTableOfContents(documentSections, config.visualMarkers) : '';
+    const manifest = files ? formatFilesTouched(files, config.visualMarkers, links) : '';
+    const formattedContent = frontmatter + (navigation && `${navigation}\n`) + tableOfContents +
+      manifest + formattedSections + (navigation && `\n${navigation}`);
+
+    // Apply Markdown linting rules
+    return compose(
+      ensureMarkdownSpacing,
+      removeTrailingSpaces,
+      cleanExcessiveLineBreaks
+    )(formattedContent);
+  };
+
+  if (!split) {
+    const part = metadata?.part ? { ...metadata.part, turns: turnRange(sections) } : undefined;
+    const output = renderMarkdown(excerptedSections, part);
+    reportMissingFiles();
+    return finalize(output);
+  }
+
+  const parts = splitSections(excerptedSections, split, {
+    measure: (section) => formatSection(section, projectRoots, config.visualMarkers, config.templates, sectionOptions).length,
+  });
+  const name = splitName || basename(inputFile).replace(/\.[^.]*$/, '') + OUTPUT_FORMATS.markdown;
+  log(`${TEXTS.SPLIT_PARTS} ${parts.length}`);
+
+  const documents = parts.map((partSections, index) => ({
+    file: partFileName(name, index + 1),
+    output: renderMarkdown(partSections, {
+      index: index + 1,
+      total: parts.length,
+      turns: turnRange(partSections),
+      parent: name,
+    }),
+  }));
+  reportMissingFiles();
+
+  return finalize(generateSplitIndex(parts, { name, inputFile: sessionInfo.inputFile, processedDate }), documents);
+};
+
+/**
+ * Formats a chat session
+ * @param {string} content - Raw session content (transcript or VS Code JSON export)
+ * @param {object} [options] - Formatting options
+ * @param {string} [options.format='markdown'] - Output format (see OUTPUT_FORMATS)
+ * @param {boolean} [options.force=false] - Force reprocessing even if already processed
+ * @param {string} [options.inputFile='stdin'] - Input file name for metadata
+ * @param {string|object} [options.profile] - Speaker profile, by name or object (auto-detected if omitted)
+ * @param {boolean} [options.redact=false] - Redact secrets and personal data from the output
+ * @param {Array<object>} [options.redactionRules=[]] - Additional redaction rules ({ name, pattern, replacement })
+ * @param {string|Array<string>} [options.projectRoot] - Project root(s), detected from the referenced files if omitted
+ * @param {boolean} [options.snapProjectRoot=false] - Snap detected roots to local directories holding .git or package.json
+ * @param {object} [options.config] - Project configuration (see config.js), compiled or as a definition;
+ *   its `lang` sets the language of headings and messages for this call (a formatted document keeps the
+ *   language recorded in its frontmatter, unless it is reprocessed with a `lang` that is not `defaultLang`)
+ * @param {boolean} [options.toc=false] - Add a table of contents linking to every turn (Markdown)
+ * @param {boolean} [options.filesTouched=false] - Add the "Files touched" section and frontmatter lists (Markdown)
+ * @param {number} [options.terminalLines] - Show at most this many lines of each terminal output
+ *   (the first and last ones; all of them if omitted)
+ * @param {boolean} [options.linkFiles=false] - Link context references and action paths to the files
+ *   of the local project, relative to `outputFile`, and report the missing ones (Markdown)
+ * @param {boolean} [options.lineRanges=false] - Link `#file:` line ranges to their lines (`#L10-L20`)
+ * @param {string} [options.outputFile] - File the output is written to (links are relative to its
+ *   directory, the working directory if omitted)
+ * @param {string|object} [options.split] - Split into parts (Markdown): "turns:N", "summary" or "size:N[k|m]"
+ * @param {string} [options.splitName] - File name of the parent index, parts are named after it
+ *   (defaults to the input file name with a .md extension)
+ * @param {string} [options.processedDate] - Processing date (defaults to now)
+ * @param {Logger} [options.logger] - Progress logger (silent by default, `console` fits)
+ * @returns {{output: string, stats: object, warnings: Array<string>, parts?: Array<{file: string, output: string}>}}
+ *   Formatted output, statistics (section counts, detected session information, first prompt,
+ *   redactions) and warnings; when split, `output` is the parent index and `parts` the documents
+ *   to write next to it
+ * @throws {UserIdentifierNotFoundError} If no user prompt can be detected
+ * @throws {AlreadyProcessedError} If a non-Markdown output is requested for formatted content
+ * @throws {ConfigurationError} If an option is invalid
+ */
+export const format = (content, options = {}) => {
+  const config = documentConfig(content, createConfig(options.config), options.force);
+  return withLocale(config.lang, () => formatSession(content, { ...options, config }));
+};
@@ -3,8 +3,51 @@
  * @description Formatting functions for chat session content
  */
 
-import { MARKERS, VISUAL_MARKERS, TERMINAL_COMMAND_PATTERN } from './constants.js';
+import { MARKERS, VISUAL_MARKERS, TEXTS } from './constants.js';
 import { compose, shiftHeadingLevels, forceLineBreaks } from './transformers.js';
+import { fileUrlToPath, simplifyPath } from './paths.js';
+import { parseAction } from './model.js';
+import { LOCALES } from './i18n.js';
+import { BUILTIN_TEMPLATES, renderTemplate, renderSectionTemplate } from './templates.js';
+import { renderEditDiff } from './edits.js';
+import { fenceBlock } from './fences.js';
+import { splitTerminalCommands, limitOutput } from './terminal.js';
+
+// Maximum length of the prompt excerpt in prompt headings and the table of contents
+const PROMPT_EXCERPT_LENGTH = 60;
+
+// Unified regex for all context reference patterns
+const CONTEXT_REFERENCE_PATTERN = /#(file|folder|dir|sym):([^\s]+)|#(selection)\b/g;
+
+// Reference type of each context reference prefix
+const CONTEXT_REFERENCE_TYPES = { file: 'file', folder: 'folder', dir: 'folder', sym: 'symbol' };
+
+// Icon of each context reference type
+const CONTEXT_REFERENCE_ICONS = { file: '📄', folder: '📁', symbol: '🔣', selection: '🔎' };
+
+// Context reference linked by formatContextReferences(), its code span captured
+const LINKED_REFERENCE_PATTERN = /\[(`(?:📄|📁|🔣) [^`]+`)\]\([^)\s]*\)/gu;
+
+// Line range after a referenced file ("app.js:10-20"), and trailing punctuation
+const LINE_RANGE_PATTERN = /:(\d+)(?:-(\d+))?$/;
+const TRAILING_PUNCTUATION_PATTERN = /[.,;:!?)]+$/;
+
+/**
+ * Returns the anchor of a turn, written before its first section
+ * @param {number} turn - Turn number (from 1)
+ * @returns {string} Anchor id ("turn-3")
+ */
+export const turnAnchor = (turn) => `turn-${turn}`;
+
+/**
+ * Adds the turn ID to a section marker
+ * @param {string} marker - Section marker ("<!-- user-prompt -->")
+ * @param {number} [turn] - Turn number (marker unchanged if omitted)
+ * @returns {string} Marker with turn ID ("<!-- user-prompt: turn-3 -->")
+ */
+export const sectionMarker = (marker, turn) => {
+  return turn ? marker.replace(/ -->$/, `: ${turnAnchor(turn)} -->`) : marker;
+};
 
 /**
  * Extracts filename from a path
@@ -18,49 +61,31 @@ const extractFilename = (path) => {
 };
 
 /**
- * Safely decodes a URI component
- * @param {string} uri - URI to decode
- * @returns {string} Decoded URI or original if decoding fails
- */
-const safeDecodeURI = (uri) => {
-  try {
-    return decodeURIComponent(uri);
-  } catch {
-    console.warn(`Failed to decode URI: ${uri}`);
-    return uri;
-  }
-};
-
-/**
- * Formats an action link with readable filename
+ * Formats an action link with readable filename. With a link resolver, files
+ * of the local project are linked relative to the output document, the path
+ * from the project root kept as the link title.
  * @param {string} action - Raw action (e.g., "Read [](file:///path)")
- * @param {string} projectRoot - Project root
+ * @param {string|Array<string>} projectRoots - Project root(s); each path is simplified against the root containing it
+ * @param {import('./links.js').LinkResolver} [links] - Link resolver
  * @returns {string} Formatted action
  */
-export const formatActionLink = (action, projectRoot) => {
-  if (!projectRoot) return action;
+export const formatActionLink = (action, projectRoots, links) => {
+  const roots = [].concat(projectRoots || []);
+  if (roots.length === 0) return action;
 
   return action.replace(
-    /(\w+) \[\]\((file:\/\/\/[^)#\s]+)/g,
-    (match, actionType, fileUrl) => {
+    /(\w+) \[\]\((file:\/\/\/[^)#\s]+)([^)\s]*)/g,
+    (match, actionType, fileUrl, fragment) => {
       try {
-        const pathMatch = fileUrl.match(/file:\/\/\/(.+)/);
-        if (!pathMatch) return match;
-
-        let path = pathMatch[1];
-        if (!path.startsWith('/')) {
-          path = '/' + path;
-        }
-
-        path = safeDecodeURI(path);
+        const path = fileUrlToPath(fileUrl);
         const filename = extractFilename(path);
-        const simplifiedPath = path.startsWith(projectRoot)
-          ? path.replace(projectRoot, '')
-          : path;
+        const simplifiedPath = simplifyPath(path, roots);
+        const link = links?.file(path);
 
-        return `${actionType} [${filename}](${simplifiedPath}`;
-      } catch (error) {
-        console.warn(`Failed to format action link: ${action}`, error.message);
+        return link
+          ? `${actionType} [${filename}](${link.href}${fragment} "${simplifiedPath}"`
+          : `${actionType} [${filename}](${simplifiedPath}${fragment}`;
+      } catch {
         return match;
       }
     }
@@ -68,153 +93,423 @@ export const formatActionLink = (action, projectRoot) => {
 };
 
 /**
- * Optimized context references formatter using a unified regex
+ * Formats an action into list items. A string replacement action followed by
+ * its payload gives an item per edited file, with the diff of its edits.
+ * @param {string} action - Raw action
+ * @param {string|Array<string>} projectRoots - Project root(s)
+ * @param {import('./links.js').LinkResolver} [links] - Link resolver
+ * @returns {Array<{text: string, diff: string|null}>} Items: Markdown text and fenced diff block, if any
+ */
+export const formatActionItems = (action, projectRoots, links) => {
+  const { edits } = parseAction(action, projectRoots);
+  // An unrecognized payload is dropped, as are other code blocks among actions
+  if (!edits) return [{ text: formatActionLink(action.split('\n')[0], projectRoots, links), diff: null }];
+
+  const files = new Map();
+  edits.forEach(edit => files.set(edit.path, [...(files.get(edit.path) || []), edit]));
+  return [...files].map(([path, fileEdits]) => {
+    const link = links?.file(fileEdits[0].absolutePath);
+    return {
+      text: `Edited [${extractFilename(path)}](${link ? `${link.href} "${path}"` : path})`,
+      diff: renderEditDiff(fileEdits),
+    };
+  });
+};
+
+/**
+ * Splits the target of a context reference into its path, line range and
+ * trailing punctuation
+ * @param {string} target - Target as written ("src/app.js:10-20,")
+ * @returns {{path: string, lines: {start: number, end: number|null}|null, trailing: string}} Target parts
+ */
+const splitReferenceTarget = (target) => {
+  const trailing = target.match(TRAILING_PUNCTUATION_PATTERN)?.[0] || '';
+  const reference = target.slice(0, target.length - trailing.length) || target;
+  const range = reference.match(LINE_RANGE_PATTERN);
+  return {
+    path: range ? reference.slice(0, range.index) : reference,
+    lines: range ? { start: Number(range[1]), end: range[2] ? Number(range[2]) : null } : null,
+    trailing: reference === target ? '' : trailing,
+  };
+};
+
+/**
+ * Parses the context references of a prompt (`#file:`, `#folder:`, `#dir:`,
+ * `#sym:` and `#selection`)
+ * @param {string} text - Prompt text
+ * @returns {Array<{type: 'file'|'folder'|'symbol'|'selection', target: string|null,
+ *   lines: {start: number, end: number|null}|null, text: string}>} References, in order (`target`
+ *   without line range or trailing punctuation, `text` is the reference as written)
+ */
+export const parseContextReferences = (text) => {
+  return [...text.matchAll(CONTEXT_REFERENCE_PATTERN)].map(([match, type, target, selection]) => {
+    const { path, lines } = selection ? { path: null, lines: null } : splitReferenceTarget(target);
+    return {
+      type: selection ? 'selection' : CONTEXT_REFERENCE_TYPES[type],
+      target: path,
+      lines: CONTEXT_REFERENCE_TYPES[type] === 'file' ? lines : null,
+      text: match,
+    };
+  });
+};
+
+/**
+ * Formats context references as code spans. With a link resolver, files and
+ * folders of the local project, and symbols defined in it, are linked.
  * @param {string} text - Text to format
+ * @param {import('./links.js').LinkResolver} [links] - Link resolver
  * @returns {string} Formatted text
  */
-export const formatContextReferences = (text) => {
-  // Unified regex for all context reference patterns
+export const formatContextReferences = (text, links) => {
   return text.replace(
-    /#(file|folder|dir|sym):([^\s]+)|#(selection)\b/g,
-    (match, type, path, selection) => {
+    CONTEXT_REFERENCE_PATTERN,
+    (match, type, target, selection) => {
       if (selection) {
-        return '`🔎 selection`';
+        return `\`${CONTEXT_REFERENCE_ICONS.selection} selection\``;
       }
 
-      const emojiMap = {
-        file: '📄',
-        folder: '📁',
-        dir: '📁',
-        sym: '🔣',
-      };
+      const referenceType = CONTEXT_REFERENCE_TYPES[type];
+      const label = `\`${CONTEXT_REFERENCE_ICONS[referenceType]} ${target}\``;
+      if (!links) return label;
+
+      const { path, lines, trailing } = splitReferenceTarget(target);
+      const link = referenceType === 'symbol'
+        ? links.symbol(path)
+        : links.file(path, referenceType === 'file' ? lines : null);
+      if (!link) return label;
 
-      const emoji = emojiMap[type] || '📎';
-      return `\`${emoji} ${path}\``;
+      const written = target.slice(0, target.length - trailing.length);
+      return `[\`${CONTEXT_REFERENCE_ICONS[referenceType]} ${written}\`](${link.href})${trailing}`;
     }
   );
 };
 
 /**
- * Formats terminal commands inline in the response text
- * @param {string} text - Text to format
- * @returns {string} Text with formatted terminal commands
- */
-export const formatTerminalCommands = (text) => {
-  const lines = text.split('\n');
-  const result = [];
-
-  for (const line of lines) {
-    const match = line.match(TERMINAL_COMMAND_PATTERN);
-    if (match) {
-      const command = match[1];
-      result.push(`▶️ **Terminal command:**\n\`\`\`bash\n${command}\n\`\`\``);
-    } else {
-      result.push(line);
-    }
-  }
+ * Extracts a single-line excerpt of a prompt (context references shown as
+ * in the formatted prompt, without their link, inline code marks removed)
+ * @param {string} text - Prompt text, raw or formatted
+ * @returns {string} Excerpt, truncated with an ellipsis
+ */
+export const promptExcerpt = (text) => {
+  const line = formatContextReferences(text)
+    .replace(LINKED_REFERENCE_PATTERN, '$1')
+    .split('\n')
+    .map(l => l.replace(/`/g, '').replace(/\s+/g, ' ').trim())
+    .find(Boolean) || '';
+
+  return line.length > PROMPT_EXCERPT_LENGTH
+    ? line.slice(0, PROMPT_EXCERPT_LENGTH - 1).trimEnd() + '…'
+    : line;
+};
 
-  return result.join('\n');
+/**
+ * Returns the excerpt of a prompt section: the one set on it (cut from the
+ * redacted prompt), or the excerpt of its text
+ * @param {object} section - User prompt section
+ * @returns {string} Excerpt
+ */
+export const sectionExcerpt = (section) => {
+  return section.excerpt ?? promptExcerpt([].concat(section.content || []).join('\n'));
 };
 
 /**
- * Formats a section into enhanced Markdown
- * @param {object} section - Section to format
- * @param {string} projectRoot - Project root
- * @returns {string} Formatted Markdown
+ * Formats the heading of a user prompt: visual marker, turn number and excerpt
+ * @param {string} marker - User prompt visual marker
+ * @param {number} [turn] - Turn number
+ * @param {string} excerpt - Prompt excerpt
+ * @returns {string} Heading ("## 👤 User Prompt 3 · Fix the login bug")
  */
-export const formatSection = (section, projectRoot) => {
-  const { type, content, actions } = section;
+const formatPromptHeading = (marker, turn, excerpt) => {
+  return `${marker}${turn ? ` ${turn}` : ''}${excerpt ? ` · ${excerpt}` : ''}`;
+};
 
-  switch (type) {
-    case 'user-prompt': {
-      const promptText = Array.isArray(content) ? content.join('\n') : (content || '');
-      const formattedText = compose(
-        formatContextReferences,
-        forceLineBreaks
-      )(promptText);
+/**
+ * Formats the table of contents: one link per turn, with its prompt excerpt
+ * @param {Array} sections - Sections numbered by turn
+ * @param {object} [visualMarkers] - Section headers (VISUAL_MARKERS by default)
+ * @returns {string} Formatted Markdown (empty if there is no turn)
+ */
+export const formatTableOfContents = (sections, visualMarkers = VISUAL_MARKERS) => {
+  const turns = new Map();
+  for (const section of sections) {
+    if (!section.turn || (turns.has(section.turn) && section.type !== 'user-prompt')) continue;
+    turns.set(section.turn, section.type === 'user-prompt' ? sectionExcerpt(section) : '');
+  }
+  if (turns.size === 0) return '';
 
-      return `${MARKERS.USER_PROMPT}
-${VISUAL_MARKERS.USER_PROMPT}
+  const items = [...turns].map(([turn, excerpt]) => {
+    return `- [${TEXTS.TOC_TURN} ${turn}](#${turnAnchor(turn)})${excerpt ? ` · ${excerpt}` : ''}`;
+  });
 
-${formattedText}
+  return `${MARKERS.TOC}
+${visualMarkers.TOC}
+
+${items.join('\n')}
 
 `;
-    }
+};
 
-    case 'agent-response': {
-      let responseText = Array.isArray(content) ? content.join('\n\n') : (content || '');
+/**
+ * Counts the lines of a terminal output
+ * @param {string} output - Output
+ * @returns {number} Line count (0 for an empty output)
+ */
+const countOutputLines = (output) => (output === '' ? 0 : output.split('\n').length);
 
-      // If actions are present, replace placeholders
-      if (actions?.length > 0) {
-        actions.forEach((actionSection, index) => {
-          if (!actionSection) return;
+/**
+ * Formats the summary of a terminal output: line count, exit code, and a
+ * failure marker
+ * @param {{output: string, exitCode: number|null, failed: boolean}} terminalCommand - Command with an output
+ * @returns {string} Summary (e.g., "❌ Output (12 lines, exit code 1)")
+ */
+export const formatTerminalSummary = ({ output, exitCode, failed }) => {
+  const lines = countOutputLines(output);
+  const details = [`${lines} ${lines === 1 ? TEXTS.TERMINAL_LINE : TEXTS.TERMINAL_LINES}`];
+  if (exitCode !== null) details.push(`${TEXTS.TERMINAL_EXIT_CODE} ${exitCode}`);
+  return `${failed ? '❌ ' : ''}${TEXTS.TERMINAL_OUTPUT} (${details.join(', ')})`;
+};
 
-          const actionContent = Array.isArray(actionSection.content)
-            ? actionSection.content
-            : [actionSection.content || ''];
+/**
+ * Formats a terminal command, followed by its output if it has one
+ * @param {import('./terminal.js').TerminalCommand} terminalCommand - Command, output and exit status
+ * @param {import('./templates.js').Templates} [templates] - Output templates (default preset if omitted)
+ * @param {number} [terminalLines] - Maximum number of output lines (no limit if omitted)
+ * @returns {string} Formatted Markdown
+ */
+export const formatTerminalCommand = (
+  { command, output, exitCode, failed },
+  templates = BUILTIN_TEMPLATES.default,
+  terminalLines
+) => {
+  const rendered = renderTemplate(templates.terminalCommand, { label: TEXTS.TERMINAL_COMMAND, command });
+  if (output === null) return rendered;
+
+  return `${rendered}\n\n${renderTemplate(templates.terminalOutput, {
+    summary: formatTerminalSummary({ output, exitCode, failed }),
+    label: TEXTS.TERMINAL_OUTPUT,
+    output: fenceBlock(limitOutput(output, terminalLines), 'text'),
+    lines: countOutputLines(output),
+    exitCode,
+  })}`;
+};
 
-          const formattedActions = actionContent
-            .filter(action => action)
-            .map(action => {
-              const formatted = formatActionLink(action, projectRoot);
-              return `- ${formatted}`;
-            })
-            .join('\n');
+/**
+ * Sets terminal commands and their output aside from the response text, so
+ * that text transforms leave them untouched
+ * @param {string} text - Response text
+ * @returns {{text: string, commands: Array<import('./terminal.js').TerminalCommand>}} Text with a
+ *   `__TERMINAL_PLACEHOLDER_n__` line in place of each command, and the commands
+ */
+const extractTerminalCommands = (text) => {
+  const commands = [];
+  const lines = splitTerminalCommands(text).map(segment => {
+    if (segment.type === 'text') return segment.text;
+    commands.push(segment);
+    // A blank line separates the command from text right after it
+    return `__TERMINAL_PLACEHOLDER_${commands.length - 1}__\n`;
+  });
+  return { text: lines.join('\n'), commands };
+};
 
-          const actionBlock = `
+/**
+ * Formats prompt metadata (timestamp, model) as an HTML comment line
+ * @param {object} [meta] - Prompt metadata from structured imports
+ * @param {string|null} [meta.timestamp] - ISO date of the request
+ * @param {string|null} [meta.model] - Model identifier
+ * @returns {string} Metadata comment line, or empty string if no metadata
+ */
+const formatPromptMeta = (meta) => {
+  if (!meta) return '';
 
-${MARKERS.AGENT_ACTION}
-${VISUAL_MARKERS.AGENT_ACTION}
+  const fields = Object.entries({ timestamp: meta.timestamp, model: meta.model })
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}=${value}`);
 
-${formattedActions}
+  return fields.length > 0 ? `${MARKERS.PROMPT_META}${fields.join(', ')} -->\n` : '';
+};
 
-${VISUAL_MARKERS.AGENT_ACTION_END}
+/**
+ * Replaces the heading of the action blocks of a formatted body (the line
+ * after each action marker, when it is the default heading of a language),
+ * so that re-rendering follows the current headings
+ * @param {string} body - Formatted section body
+ * @param {string} heading - Action block heading
+ * @returns {string} Body with the current action headings
+ */
+const relabelActionBlocks = (body, heading) => {
+  const headings = Object.values(LOCALES).map(locale => locale.visualMarkers.AGENT_ACTION);
+  const lines = body.split('\n');
+  return lines
+    .map((line, index) => (index > 0 && lines[index - 1] === MARKERS.AGENT_ACTION && headings.includes(line)
+      ? heading
+      : line))
+    .join('\n');
+};
 
-`;
+/**
+ * Returns the text of a visual marker (heading hashes and HTML tags removed)
+ * @param {string} marker - Visual marker
+ * @returns {string} Label ("👤 User Prompt")
+ */
+export const markerLabel = (marker) => marker.replace(/<[^>]+>/g, '').replace(/^#+\s*/, '').trim();
 
-          responseText = responseText.replace(
-            `__ACTION_PLACEHOLDER_${index}__`,
-            actionBlock
-          );
-        });
-      }
+/**
+ * Formats technical actions as a Markdown list, edit diffs indented under
+ * their item with blank lines around them
+ * @param {Array<string>} actions - Raw actions
+ * @param {Array<string>} projectRoots - Project roots
+ * @param {import('./links.js').LinkResolver} [links] - Link resolver
+ * @returns {{list: string, count: number}} List and number of items
+ */
+export const formatActionList = (actions, projectRoots, links) => {
+  const items = actions.filter(action => action).flatMap(action => formatActionItems(action, projectRoots, links));
+  const list = items
+    .map(({ text, diff }) => (diff ? `- ${text}\n\n${diff.replace(/^/gm, '  ')}` : `- ${text}`))
+    .map((item, index) => (index > 0 && (items[index - 1].diff || items[index].diff) ? `\n${item}` : item))
+    .join('\n');
+
+  return { list, count: items.length };
+};
 
-      const formattedText = compose(
-        formatContextReferences,
-        shiftHeadingLevels,
-        formatTerminalCommands,
-        forceLineBreaks
-      )(responseText);
+/**
+ * Formats a technical action block, after its marker
+ * @param {Array<string>} actions - Raw actions
+ * @param {Array<string>} projectRoots - Project roots
+ * @param {object} visualMarkers - Section headers
+ * @param {string} template - Action block template
+ * @param {import('./links.js').LinkResolver} [links] - Link resolver
+ * @returns {string} Formatted Markdown
+ */
+const formatActionBlock = (actions, projectRoots, visualMarkers, template, links) => {
+  const { list, count } = formatActionList(actions, projectRoots, links);
+  const files = [...new Set(actions
+    .filter(action => action)
+    .flatMap(action => {
+      const parsed = parseAction(action, projectRoots);
+      return (parsed.edits || [parsed]).map(({ path }) => path);
+    })
+    .filter(Boolean))];
+
+  const rendered = renderTemplate(template, {
+    heading: visualMarkers.AGENT_ACTION,
+    end: visualMarkers.AGENT_ACTION_END,
+    label: markerLabel(visualMarkers.AGENT_ACTION),
+    actions: list,
+    count,
+    files: files.join(', '),
+  });
+
+  return `${MARKERS.AGENT_ACTION}\n${rendered}`;
+};
 
-      return `${MARKERS.AGENT_RESPONSE}
-${VISUAL_MARKERS.AGENT_RESPONSE}
+/**
+ * Formats a section into enhanced Markdown, with the section templates.
+ * Sections re-parsed from a formatted document (`preformatted`) keep their
+ * body as-is, headings aside.
+ * @param {object} section - Section to format (`turn` gives its turn ID, `excerpt` the excerpt of a
+ *   redacted prompt)
+ * @param {Array<string>} projectRoots - Project roots
+ * @param {object} [visualMarkers] - Section headers (VISUAL_MARKERS by default)
+ * @param {import('./templates.js').Templates} [templates] - Output templates (default preset if omitted)
+ * @param {object} [options] - Rendering options
+ * @param {number} [options.terminalLines] - Maximum number of lines of each terminal output
+ * @param {import('./links.js').LinkResolver} [options.links] - Link resolver of context references
+ *   and action paths (left unlinked if omitted); the links of preformatted sections are verified
+ * @returns {string} Formatted Markdown
+ */
+export const formatSection = (
+  section,
+  projectRoots,
+  visualMarkers = VISUAL_MARKERS,
+  templates = BUILTIN_TEMPLATES.default,
+  { terminalLines, links } = {}
+) => {
+  const { type, content, actions, meta, turn, preformatted } = section;
+  const formatReferences = (text) => formatContextReferences(text, links);
 
-${formattedText}
+  switch (type) {
+    case 'user-prompt': {
+      const promptText = Array.isArray(content) ? content.join('\n') : (content || '');
+      if (preformatted) links?.verify(promptText);
+      const formattedText = preformatted
+        ? promptText
+        : compose(formatReferences, forceLineBreaks)(promptText);
+      const excerpt = sectionExcerpt(section);
+      const heading = formatPromptHeading(visualMarkers.USER_PROMPT, turn, excerpt);
+      const rendered = renderSectionTemplate(templates.userPrompt, {
+        heading,
+        title: heading.replace(/^#+\s*/, ''),
+        label: markerLabel(visualMarkers.USER_PROMPT),
+        turn,
+        excerpt,
+        content: formattedText,
+        timestamp: meta?.timestamp,
+        model: meta?.model,
+      });
+
+      return `${sectionMarker(MARKERS.USER_PROMPT, turn)}
+${formatPromptMeta(meta)}${rendered}
 
 `;
     }
 
-    case 'agent-action': {
-      // This case shouldn't happen anymore with the new merge
-      const actionsList = Array.isArray(content) ? content : [content];
-      const formattedActions = actionsList
-        .filter(action => action)
-        .map(action => {
-          const formatted = formatActionLink(action, projectRoot);
-          return `- ${formatted}`;
-        })
-        .join('\n');
-
-      return `${MARKERS.AGENT_ACTION}
-${VISUAL_MARKERS.AGENT_ACTION}
+    case 'agent-response': {
+      const responseText = Array.isArray(content) ? content.join('\n\n') : (content || '');
+      let formattedText;
+
+      if (preformatted) {
+        links?.verify(responseText);
+        formattedText = relabelActionBlocks(responseText, visualMarkers.AGENT_ACTION);
+      } else {
+        // Templates of commands and action blocks are rendered after the text transforms
+        const { text, commands } = extractTerminalCommands(responseText);
+        formattedText = compose(formatReferences, shiftHeadingLevels, forceLineBreaks)(text)
+          .replace(/__TERMINAL_PLACEHOLDER_(\d+)__ */g, (match, index) => {
+            return formatTerminalCommand(commands[Number(index)], templates, terminalLines);
+          });
+
+        (actions || []).forEach((actionSection, index) => {
+          if (!actionSection) return;
+          const block = formatActionBlock(
+            [].concat(actionSection.content || ''),
+            projectRoots,
+            visualMarkers,
+            templates.agentAction,
+            links
+          );
+          formattedText = formattedText.replace(`__ACTION_PLACEHOLDER_${index}__`, `\n\n${block}\n\n`);
+        });
+      }
 
-${formattedActions}
+      const rendered = renderSectionTemplate(templates.agentResponse, {
+        heading: visualMarkers.AGENT_RESPONSE,
+        label: markerLabel(visualMarkers.AGENT_RESPONSE),
+        turn,
+        content: formattedText,
+      });
 
-${VISUAL_MARKERS.AGENT_ACTION_END}
+      return `${sectionMarker(MARKERS.AGENT_RESPONSE, turn)}
+${rendered}
 
 `;
     }
 
+    case 'session':
+      return `${MARKERS.SESSION}${section.source} -->
+${visualMarkers.SESSION} ${section.source}
+
+`;
+
+    case 'agent-action':
+      // This case shouldn't happen anymore with the new merge
+      return `${formatActionBlock(
+        [].concat(content),
+        projectRoots,
+        visualMarkers,
+        templates.agentAction,
+        links
+      )}\n\n`;
+
     default:
       return (section.raw || '') + '\n\n';
   }
@@ -223,18 +518,73 @@ ${VISUAL_MARKERS.AGENT_ACTION_END}
 /**
  * Generates YAML frontmatter
  * @param {object} options - Generation options
- * @param {string} options.projectRoot - Project root path
+ * @param {string} options.projectRoot - Project root path (the first one)
+ * @param {Array<string>} [options.projectRoots] - All project roots (listed when there are several)
  * @param {string} options.inputFile - Input file name
  * @param {string} options.processedDate - Processing date
+ * @param {object} [options.metadata] - Session metadata from structured imports
+ * @param {string|null} [options.metadata.agent] - Responder name
+ * @param {Array<string>} [options.metadata.models] - Models used during the session
+ * @param {string|null} [options.metadata.startDate] - Date of the first request
+ * @param {string|null} [options.metadata.endDate] - Date of the last request
+ * @param {Array<string>} [options.metadata.sources] - Session files of a merged document (replace `sourceFile`)
+ * @param {string|null} [options.metadata.updatedDate] - Date raw turns were last appended
+ * @param {object|null} [options.files] - Touched files (see manifest.js), listed by operation
+ * @param {object|null} [options.part] - Part of a split session
+ * @param {number} options.part.index - Part number (from 1)
+ * @param {number} options.part.total - Number of parts
+ * @param {string} options.part.turns - Turns covered ("11-20")
+ * @param {string} options.part.parent - Parent index file name
+ * @param {{userPrompts: number, agentResponses: number}|null} [options.counts] - Section counts
+ * @param {string} [options.firstPrompt=''] - First prompt of the document (`{{title}}` of the template)
+ * @param {string|null} [options.lang] - Language of the headings and labels (reused when appending)
+ * @param {string} [options.template] - Frontmatter template (default preset if omitted)
  * @returns {string} YAML frontmatter
  */
-export const generateFrontmatter = ({ projectRoot, inputFile, processedDate }) => {
-  return `---
-type: chat-session
-projectRoot: ${projectRoot || 'N/A'}
-sourceFile: ${inputFile}
-processedDate: ${processedDate}
----
+export const generateFrontmatter = ({
+  projectRoot,
+  projectRoots = [],
+  inputFile,
+  processedDate,
+  metadata = {},
+  files = null,
+  part = null,
+  counts = null,
+  firstPrompt = '',
+  lang = null,
+  template = BUILTIN_TEMPLATES.default.frontmatter,
+}) => {
+  const list = (values) => `[${values.join(', ')}]`;
+  const fields = [
+    ['type', 'chat-session'],
+    ['projectRoot', projectRoot || 'N/A'],
+    projectRoots.length > 1 && ['projectRoots', list(projectRoots)],
+    // A merged document lists the files of its sessions
+    metadata.sources?.length > 0 ? ['sources', list(metadata.sources)] : ['sourceFile', inputFile],
+    ...(part ? [['part', `${part.index}/${part.total}`], ['turns', part.turns], ['parent', part.parent]] : []),
+    metadata.agent && ['agent', metadata.agent],
+    metadata.models?.length > 0 && ['models', list(metadata.models)],
+    metadata.startDate && ['sessionStart', metadata.startDate],
+    metadata.endDate && ['sessionEnd', metadata.endDate],
+    ...(counts ? [['userPrompts', counts.userPrompts], ['agentResponses', counts.agentResponses]] : []),
+    ...Object.entries(files || {})
+      .filter(([, entries]) => entries.length > 0)
+      .map(([group, entries]) => [
+        `files${group[0].toUpperCase()}${group.slice(1)}`,
+        list(entries.map(({ path }) => path)),
+      ]),
+    lang && ['lang', lang],
+    ['processedDate', processedDate],
+    metadata.updatedDate && ['updatedDate', metadata.updatedDate],
+  ].filter(Boolean);
+
+  const frontmatter = renderTemplate(template, {
+    ...Object.fromEntries(fields),
+    fields: fields.map(([key, value]) => `${key}: ${value}`).join('\n'),
+    title: JSON.stringify(promptExcerpt(firstPrompt)),
+  });
+
+  return `${frontmatter}
 ${MARKERS.PROCESSED}
 
 `;
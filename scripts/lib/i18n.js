@@ -0,0 +1,82 @@
+/**
+ * @file i18n.js
+ * @description Locales: message catalogs (TEXTS) and section headings
+ * (VISUAL_MARKERS) by language, with English fallback for missing keys
+ */
+
+import { TEXTS, VISUAL_MARKERS } from './constants.js';
+import { ConfigurationError } from './errors.js';
+import { FR } from './locales/fr.js';
+
+// Message catalogs and section headings by language (English is the reference)
+export const LOCALES = {
+  en: { texts: { ...TEXTS }, visualMarkers: { ...VISUAL_MARKERS } },
+  fr: FR,
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Normalizes a language tag ("fr", "fr-CA", "fr_FR.UTF-8") to a locale name
+ * @param {string} lang - Language tag
+ * @returns {string} Locale name (lowercase language code)
+ */
+const normalizeLocale = (lang) => String(lang).trim().toLowerCase().split(/[-_.@]/)[0];
+
+/**
+ * Resolves a language to its locale
+ * @param {string} [lang='en'] - Language tag
+ * @returns {{name: string, texts: Object<string, string>, visualMarkers: Object<string, string>}} Locale
+ * @throws {ConfigurationError} If the language has no catalog
+ */
+export const resolveLocale = (lang = DEFAULT_LOCALE) => {
+  const name = normalizeLocale(lang);
+  if (!LOCALES[name]) {
+    throw new ConfigurationError(
+      `${TEXTS.UNKNOWN_LOCALE} ${lang} (available: ${Object.keys(LOCALES).join(', ')})`
+    );
+  }
+  return { name, ...LOCALES[name] };
+};
+
+/**
+ * Detects the language from the environment (LC_ALL, LC_MESSAGES, then LANG);
+ * languages without a catalog, "C" and "POSIX" fall back to English
+ * @param {Object<string, string>} [env=process.env] - Environment variables
+ * @returns {string} Locale name
+ */
+export const detectLocale = (env = process.env) => {
+  const value = env.LC_ALL || env.LC_MESSAGES || env.LANG;
+  const name = value ? normalizeLocale(value) : DEFAULT_LOCALE;
+  return LOCALES[name] ? name : DEFAULT_LOCALE;
+};
+
+/**
+ * Switches the messages of TEXTS to a language (English for missing keys)
+ * @param {string} [lang='en'] - Language tag
+ * @returns {string} Locale name
+ * @throws {ConfigurationError} If the language has no catalog
+ */
+export const setLocale = (lang = DEFAULT_LOCALE) => {
+  const { name, texts } = resolveLocale(lang);
+  Object.assign(TEXTS, LOCALES.en.texts, texts);
+  return name;
+};
+
+/**
+ * Runs a function with the messages of a language, then restores the previous ones
+ * @param {string|null} lang - Language tag (the current messages are kept if null)
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of the function
+ */
+export const withLocale = (lang, fn) => {
+  if (!lang) return fn();
+
+  const previous = { ...TEXTS };
+  setLocale(lang);
+  try {
+    return fn();
+  } finally {
+    Object.assign(TEXTS, previous);
+  }
+};
@@ -0,0 +1,204 @@
+/**
+ * @file importers.js
+ * @description Readers for structured chat exports (VS Code "Chat: Export Chat..." JSON)
+ */
+
+import { fenceBlock } from './fences.js';
+
+/**
+ * Extracts the text of a message that may be a plain string or a `{ value }` object
+ * @param {string|{value: string}|undefined} message - Message to read
+ * @returns {string} Message text
+ */
+const messageText = (message) => {
+  if (!message) return '';
+  if (typeof message === 'string') return message;
+  return message.value || '';
+};
+
+/**
+ * Builds a file URL from a serialized VS Code URI
+ * @param {object|string} uri - Serialized URI ({ scheme, path } or string)
+ * @returns {string|null} file:// URL or null
+ */
+const uriToFileUrl = (uri) => {
+  if (!uri) return null;
+  if (typeof uri === 'string') return uri.startsWith('file://') ? uri : null;
+  if (uri.external?.startsWith('file://')) return uri.external;
+  if (uri.scheme === 'file' && uri.path) return `file://${uri.path}`;
+  return null;
+};
+
+/**
+ * Extracts the display name of a serialized URI or location
+ * @param {object} reference - Inline reference ({ path }, { uri }, or { name })
+ * @returns {string} Display name
+ */
+const referenceName = (reference) => {
+  if (!reference) return '';
+  if (reference.name) return reference.name;
+  const path = reference.path || reference.uri?.path || '';
+  return path.split('/').pop() || path;
+};
+
+/**
+ * Converts a tool invocation into a raw action line. A terminal command is
+ * followed by its output in a fenced block and its exit status, when recorded.
+ * @param {object} part - Serialized tool invocation
+ * @returns {{kind: 'action'|'terminal', line: string}|null} Converted line or null
+ */
+const toolInvocationToLine = (part) => {
+  const terminal = part.toolSpecificData;
+  if (terminal?.kind === 'terminal') {
+    const command = terminal.commandLine?.original || terminal.command;
+    if (command) {
+      const lines = [`Ran terminal command: ${command}`];
+      const output = terminal.terminalCommandOutput?.text?.replace(/\r\n/g, '\n').trimEnd();
+      if (output) lines.push(fenceBlock(output));
+      const exitCode = terminal.terminalCommandState?.exitCode;
+      if (Number.isInteger(exitCode)) lines.push(`Exit code: ${exitCode}`);
+      return { kind: 'terminal', line: lines.join('\n') };
+    }
+  }
+
+  const line = messageText(part.pastTenseMessage) || messageText(part.invocationMessage);
+  if (!line) return null;
+  return { kind: 'action', line: line.trim() };
+};
+
+/**
+ * Converts a request's response parts into agent-response and agent-action sections
+ * @param {Array<object>} parts - Response parts
+ * @returns {Array<{type: string, content: Array<string>, raw: string}>} Sections
+ */
+const responseToSections = (parts) => {
+  const sections = [];
+  let text = '';
+  let actions = [];
+
+  const flushText = () => {
+    if (text.trim() === '') {
+      text = '';
+      return;
+    }
+    const content = text.trim().split('\n');
+    sections.push({ type: 'agent-response', content, raw: content.join('\n') });
+    text = '';
+  };
+
+  const flushActions = () => {
+    if (actions.length === 0) return;
+    sections.push({
+      type: 'agent-action',
+      content: actions,
+      actions,
+      raw: actions.join('\n'),
+    });
+    actions = [];
+  };
+
+  for (const part of parts || []) {
+    switch (part.kind) {
+      case undefined:
+      case 'markdownContent': {
+        const value = part.kind ? messageText(part.content) : messageText(part);
+        if (value.trim() === '') break;
+        flushActions();
+        text += value;
+        break;
+      }
+
+      case 'inlineReference': {
+        const name = referenceName(part.inlineReference);
+        if (name) text += `\`${name}\``;
+        break;
+      }
+
+      case 'toolInvocationSerialized':
+      case 'toolInvocation': {
+        const converted = toolInvocationToLine(part);
+        if (!converted) break;
+        if (converted.kind === 'terminal') {
+          flushActions();
+          text += `\n\n${converted.line}\n\n`;
+        } else {
+          flushText();
+          actions.push(converted.line);
+        }
+        break;
+      }
+
+      case 'textEditGroup': {
+        const fileUrl = uriToFileUrl(part.uri);
+        flushText();
+        actions.push(fileUrl ? `Edited [](${fileUrl})` : 'Made changes.');
+        break;
+      }
+
+      default:
+        // Other parts (undoStop, codeblockUri, prepareToolInvocation...) carry no content
+        break;
+    }
+  }
+
+  flushText();
+  flushActions();
+  return sections;
+};
+
+/**
+ * Detects and parses a VS Code chat JSON export
+ * @param {string} content - File content
+ * @returns {{sections: Array, userIdentifier: string, metadata: object}|null}
+ *   Sections in the same model as parseContent, requester username and session
+ *   metadata (agent, models, dates), or null if the content is not a JSON export
+ */
+export const parseJsonExport = (content) => {
+  const trimmed = content.trimStart();
+  if (!trimmed.startsWith('{')) return null;
+
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch {
+    return null;
+  }
+
+  if (!data || !Array.isArray(data.requests)) return null;
+
+  const sections = [];
+  const models = new Set();
+  const timestamps = [];
+
+  for (const request of data.requests) {
+    const promptText = request.message?.text || '';
+    const content = promptText.trim().split('\n');
+    const timestamp = typeof request.timestamp === 'number'
+      ? new Date(request.timestamp).toISOString()
+      : null;
+    const model = request.modelId || null;
+
+    if (timestamp) timestamps.push(timestamp);
+    if (model) models.add(model);
+
+    sections.push({
+      type: 'user-prompt',
+      content,
+      raw: content.join('\n'),
+      meta: { timestamp, model },
+    });
+
+    sections.push(...responseToSections(request.response));
+  }
+
+  return {
+    sections,
+    userIdentifier: data.requesterUsername || 'user',
+    metadata: {
+      agent: data.responderUsername || null,
+      models: [...models],
+      startDate: timestamps[0] || null,
+      endDate: timestamps[timestamps.length - 1] || null,
+    },
+  };
+};
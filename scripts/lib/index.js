@@ -0,0 +1,36 @@
+/**
+ * @file index.js
+ * @description Library entry point: `import { format } from 'smyp'`
+ *
+ * @example
+ * import { format } from 'smyp';
+ * const { output, stats, warnings } = format(rawSession, { format: 'html', redact: true });
+ */
+
+export { format, normalizeFormat, analyzeSession } from './format.js';
+export {
+  SmypError,
+  UserIdentifierNotFoundError,
+  AlreadyProcessedError,
+  ConfigurationError,
+  FileAccessError,
+} from './errors.js';
+export { BUILTIN_PROFILES, createProfile, resolveProfile } from './profiles.js';
+export { BUILTIN_TEMPLATES, createTemplates, resolveTemplates } from './templates.js';
+export { BUILTIN_DETECTORS, redact, compileRedactionRules } from './redaction.js';
+export { buildSessionModel } from './model.js';
+export { parseJsonExport } from './importers.js';
+export { isAlreadyProcessed } from './parsers.js';
+export { detectProjectRoots } from './paths.js';
+export { computeSessionStats, renderStatsReport } from './stats.js';
+export { mergeSessions, MERGE_ORDERS } from './merge.js';
+export {
+  extractPrompts,
+  dedupePrompts,
+  renderPromptCatalog,
+  PROMPT_CATALOG_FORMATS,
+} from './prompts.js';
+export { buildDataset, renderDataset, DATASET_RECORDS } from './dataset.js';
+export { createConfig, loadConfig, resolveConfig, findConfigFile } from './config.js';
+export { LOCALES, detectLocale, setLocale } from './i18n.js';
+export { OUTPUT_FORMATS, SESSION_SCHEMA } from './constants.js';
@@ -3,8 +3,9 @@
  * @description I/O utilities with robust error handling
  */
 
-import { readFileSync, writeFileSync } from 'fs';
+import { readFileSync, writeFileSync, mkdirSync, statSync } from 'fs';
 import { resolve } from 'path';
+import { FileAccessError } from './errors.js';
 
 /**
  * Reads from stdin and returns the content as a string
@@ -47,7 +48,7 @@ export const isStdinPiped = () => {
  * Safely reads a file with error handling
  * @param {string} filePath - Path to the file
  * @returns {string} File content
- * @throws {Error} If file cannot be read
+ * @throws {FileAccessError} If file cannot be read
  */
 export const safeReadFile = (filePath) => {
   try {
@@ -55,13 +56,13 @@ export const safeReadFile = (filePath) => {
     return readFileSync(absolutePath, 'utf-8');
   } catch (error) {
     if (error.code === 'ENOENT') {
-      throw new Error(`File not found: ${filePath}`);
+      throw new FileAccessError(`File not found: ${filePath}`, filePath);
     } else if (error.code === 'EACCES') {
-      throw new Error(`Permission denied: ${filePath}`);
+      throw new FileAccessError(`Permission denied: ${filePath}`, filePath);
     } else if (error.code === 'EISDIR') {
-      throw new Error(`Path is a directory, not a file: ${filePath}`);
+      throw new FileAccessError(`Path is a directory, not a file: ${filePath}`, filePath);
     } else {
-      throw new Error(`Failed to read file ${filePath}: ${error.message}`);
+      throw new FileAccessError(`Failed to read file ${filePath}: ${error.message}`, filePath);
     }
   }
 };
@@ -70,7 +71,7 @@ export const safeReadFile = (filePath) => {
  * Safely writes a file with error handling
  * @param {string} filePath - Path to the file
  * @param {string} content - Content to write
- * @throws {Error} If file cannot be written
+ * @throws {FileAccessError} If file cannot be written
  */
 export const safeWriteFile = (filePath, content) => {
   try {
@@ -78,13 +79,45 @@ export const safeWriteFile = (filePath, content) => {
     writeFileSync(absolutePath, content, 'utf-8');
   } catch (error) {
     if (error.code === 'EACCES') {
-      throw new Error(`Permission denied: ${filePath}`);
+      throw new FileAccessError(`Permission denied: ${filePath}`, filePath);
     } else if (error.code === 'ENOSPC') {
-      throw new Error(`No space left on device: ${filePath}`);
+      throw new FileAccessError(`No space left on device: ${filePath}`, filePath);
     } else if (error.code === 'EISDIR') {
-      throw new Error(`Path is a directory, not a file: ${filePath}`);
+      throw new FileAccessError(`Path is a directory, not a file: ${filePath}`, filePath);
     } else {
-      throw new Error(`Failed to write file ${filePath}: ${error.message}`);
+      throw new FileAccessError(`Failed to write file ${filePath}: ${error.message}`, filePath);
     }
   }
 };
+
+/**
+ * Creates a directory and its parents if they do not exist
+ * @param {string} dirPath - Directory path
+ * @throws {FileAccessError} If the directory cannot be created
+ */
+export const ensureDirectory = (dirPath) => {
+  try {
+    mkdirSync(resolve(dirPath), { recursive: true });
+  } catch (error) {
+    if (error.code === 'EACCES') {
+      throw new FileAccessError(`Permission denied: ${dirPath}`, dirPath);
+    } else if (error.code === 'EEXIST' || error.code === 'ENOTDIR') {
+      throw new FileAccessError(`Path is a file, not a directory: ${dirPath}`, dirPath);
+    } else {
+      throw new FileAccessError(`Failed to create directory ${dirPath}: ${error.message}`, dirPath);
+    }
+  }
+};
+
+/**
+ * Returns the modification date of a file
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} ISO date, or null if the file cannot be read
+ */
+export const getModifiedDate = (filePath) => {
+  try {
+    return statSync(resolve(filePath)).mtime.toISOString();
+  } catch {
+    return null;
+  }
+};
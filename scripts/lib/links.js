@@ -0,0 +1,239 @@
+/**
+ * @file links.js
+ * @description File links: context references and action paths resolved to
+ * the files of the local project, linked relative to the output document
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { basename, dirname, join, relative, resolve } from 'path';
+import { findKnownPath, findProjectDirectory, findRoot, normalizePath, simplifyPath } from './paths.js';
+
+// Source files searched for symbol definitions
+const SOURCE_EXTENSIONS = /\.(?:[cm]?[jt]sx?|vue|svelte|py|rb|php|go|rs|java|kt|cs|swift|c|h|cc|cpp|hpp)$/;
+
+// Directories never searched for symbol definitions
+const IGNORED_DIRECTORIES = ['node_modules', 'vendor', 'dist', 'build', 'coverage', 'target'];
+
+// Markdown link targets, with an optional title
+const LINK_TARGET_PATTERN = /\]\(([^)\s]+)(?: "[^"]*")?\)/g;
+
+// Link targets that are not relative file paths: anchors, root paths and URLs
+const NON_FILE_TARGET_PATTERN = /^(?:#|\/|[a-z][a-z\d+.-]*:)/i;
+
+// Limits of the symbol search: files listed, and size of each file read
+const MAX_SEARCHED_FILES = 5000;
+const MAX_SEARCHED_SIZE = 1024 * 1024;
+
+/**
+ * Link to a local file
+ * @typedef {Object} FileLink
+ * @property {string} href - URL relative to the output document ("../src/app.js#L10-L20")
+ */
+
+/**
+ * Link resolver of a document, shared by the sections it renders
+ * @typedef {Object} LinkResolver
+ * @property {function(string, {start: number, end: number|null}=): FileLink|null} file - Links a path:
+ *   absolute on the session machine, or relative to a project root (`null` if it cannot be located)
+ * @property {function(string): FileLink|null} symbol - Links the definition of a symbol
+ * @property {function(string): void} verify - Reports the relative links of already formatted text
+ *   whose file is missing
+ * @property {Set<string>} missing - Referenced files missing from the project (paths from its root)
+ */
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds the pattern of a symbol definition: a declaration keyword before
+ * the name, or a method with a body
+ * @param {string} name - Symbol name
+ * @returns {RegExp} Pattern matching the line of the definition
+ */
+const definitionPattern = (name) => {
+  const symbol = escapeRegExp(name);
+  return new RegExp(
+    `\\b(?:function\\*?|class|interface|type|enum|struct|trait|def|fn|func|const|let|var)\\s+${symbol}(?![\\w$])|` +
+    `^\\s*(?:(?:async|static|public|private|protected|get|set)\\s+)*${symbol}\\s*\\([^)]*\\)\\s*\\{`
+  );
+};
+
+/**
+ * Lists the source files of directories, hidden and dependency directories
+ * excluded
+ * @param {Array<string>} dirs - Directories
+ * @returns {Array<string>} Files (at most MAX_SEARCHED_FILES)
+ */
+const listSourceFiles = (dirs) => {
+  const files = [];
+  const pending = [...dirs];
+
+  while (pending.length > 0 && files.length < MAX_SEARCHED_FILES) {
+    const dir = pending.shift();
+    let entries;
+    try {
+      entries = readdirSync(dir, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (entry.name.startsWith('.')) continue;
+      if (entry.isDirectory() && !IGNORED_DIRECTORIES.includes(entry.name)) {
+        pending.push(join(dir, entry.name));
+      } else if (entry.isFile() && SOURCE_EXTENSIONS.test(entry.name)) {
+        files.push(join(dir, entry.name));
+      }
+    }
+  }
+
+  return files.slice(0, MAX_SEARCHED_FILES);
+};
+
+/**
+ * Creates the link resolver of a document. Paths are located in the session
+ * project roots that exist on this machine or, if none does, in the project
+ * holding the output document (a session formatted inside its repository).
+ * @param {object} options - Resolver options
+ * @param {Array<string>} options.projectRoots - Project roots of the session
+ * @param {Array<string>} [options.knownPaths=[]] - Absolute paths of the files touched during the
+ *   session (locate workspace-relative references outside the root: "app.js" for "src/app.js")
+ * @param {string} [options.outputFile] - Output document (links are relative to its directory,
+ *   the working directory if omitted)
+ * @param {boolean} [options.lineRanges=false] - Link line ranges to their lines (`#L10-L20`)
+ * @returns {LinkResolver} Resolver
+ */
+export const createLinkResolver = ({ projectRoots, knownPaths = [], outputFile, lineRanges = false }) => {
+  const outputDir = outputFile ? dirname(resolve(outputFile)) : resolve('.');
+  const localRoots = projectRoots.filter(root => existsSync(root));
+  const fallback = localRoots.length === 0 ? findProjectDirectory(normalizePath(outputDir)) : null;
+  const bases = fallback ? [fallback] : localRoots;
+  const missing = new Set();
+  const symbols = new Map();
+  let sourceFiles = null;
+
+  /**
+   * Locates a session path in the project holding the output document: after
+   * a directory named like the project, or as the longest part of the path
+   * found there (the session root may be deeper than the project root)
+   * @param {string} path - Normalized path inside a session project root
+   * @returns {string} Local path (existing or not)
+   */
+  const inFallback = (path) => {
+    const segments = path.split('/').filter(Boolean);
+    const named = segments.lastIndexOf(basename(fallback));
+    if (named !== -1) return join(fallback, ...segments.slice(named + 1));
+
+    const found = segments.map((segment, index) => join(fallback, ...segments.slice(index))).find(existsSync);
+    return found || join(fallback, simplifyPath(path, projectRoots));
+  };
+
+  /**
+   * Locates a path inside a session project root on this machine
+   * @param {string} path - Normalized path
+   * @returns {string|null} Local path (existing or not), or null outside the roots
+   */
+  const inRoots = (path) => {
+    if (findRoot(path, localRoots)) return path;
+    return fallback && findRoot(path, projectRoots) ? inFallback(path) : null;
+  };
+
+  /**
+   * Locates a path on this machine
+   * @param {string} path - Absolute path on the session machine, or path from a project root (or any
+   *   directory of the workspace, for references)
+   * @returns {{path: string, report: boolean}|null} Local path, and whether it is reported if
+   *   missing (absolute paths outside the roots are not), or null if it cannot be located
+   */
+  const locate = (path) => {
+    if (/^(?:\/|[A-Za-z]:[\\/])/.test(path)) {
+      const normalized = normalizePath(path);
+      const local = inRoots(normalized);
+      if (local) return { path: local, report: true };
+
+      // Paths simplified against a root ("/src/app.js") are relative to it
+      const candidate = [
+        ...bases.map(base => join(base, normalized)),
+        ...projectRoots.map(root => inRoots(join(root, normalized))),
+      ].find(file => file && existsSync(file));
+      return candidate ? { path: candidate, report: false } : null;
+    }
+
+    const candidates = bases.map(base => join(base, path));
+    if (candidates.length === 0) return null;
+    const existing = candidates.find(existsSync);
+    if (existing) return { path: existing, report: true };
+
+    // A workspace-relative reference may name a touched file below the root ("app.js")
+    const known = findKnownPath(normalizePath(path.replace(/^\.\//, '')), knownPaths, projectRoots, { suffix: true });
+    return (known && locate(known)) || { path: candidates[0], report: true };
+  };
+
+  /**
+   * Links a local file
+   * @param {string} path - Local path
+   * @param {string} [anchor=''] - Line anchor ("#L10")
+   * @returns {FileLink} Link
+   */
+  const linkTo = (path, anchor = '') => {
+    const href = relative(outputDir, path).split(/[\\/]/).map(encodeURIComponent).join('/');
+    return { href: `${href || '.'}${anchor}` };
+  };
+
+  const file = (path, lines) => {
+    const located = locate(path);
+    if (!located) return null;
+    if (!existsSync(located.path)) {
+      if (located.report) missing.add(simplifyPath(normalizePath(located.path), bases));
+      return null;
+    }
+    const anchor = lineRanges && lines ? `#L${lines.start}${lines.end ? `-L${lines.end}` : ''}` : '';
+    return linkTo(located.path, anchor);
+  };
+
+  const symbol = (name) => {
+    // Qualified names ("AuthService.login") are defined under their last part
+    const [last] = name.split(/[.#:]+/).filter(Boolean).slice(-1);
+    if (!last || !/^[\p{L}_$][\p{L}\p{N}_$]*$/u.test(last)) return null;
+    if (symbols.has(last)) return symbols.get(last);
+
+    sourceFiles = sourceFiles || listSourceFiles(bases);
+    const pattern = definitionPattern(last);
+    let link = null;
+    for (const sourceFile of sourceFiles) {
+      try {
+        if (statSync(sourceFile).size > MAX_SEARCHED_SIZE) continue;
+        const index = readFileSync(sourceFile, 'utf-8').split('\n').findIndex(line => pattern.test(line));
+        if (index !== -1) {
+          link = linkTo(sourceFile, `#L${index + 1}`);
+          break;
+        }
+      } catch {
+        // Unreadable files are skipped
+      }
+    }
+    symbols.set(last, link);
+    return link;
+  };
+
+  const verify = (text) => {
+    for (const [, target] of text.matchAll(LINK_TARGET_PATTERN)) {
+      if (NON_FILE_TARGET_PATTERN.test(target)) continue;
+      let path;
+      try {
+        path = resolve(outputDir, decodeURIComponent(target.split('#')[0]));
+      } catch {
+        continue;
+      }
+      if (!existsSync(path)) {
+        const normalized = normalizePath(path);
+        missing.add(findRoot(normalized, bases) ? simplifyPath(normalized, bases) : target.split('#')[0]);
+      }
+    }
+  };
+
+  return { file, symbol, verify, missing };
+};
@@ -0,0 +1,174 @@
+/**
+ * @file fr.js
+ * @description French message catalog: console messages, CLI help, document
+ * labels and section headings (missing keys fall back to English)
+ */
+
+export const FR = {
+  texts: {
+    // Console messages
+    DETECTED_PROJECT_ROOT: '📁 Racine du projet détectée :',
+    DETECTED_USER_ID: '👤 Identifiant utilisateur détecté :',
+    DETECTED_PROFILE: '🗣️  Profil d\'interlocuteurs détecté :',
+    DETECTED_JSON_EXPORT: '📦 Export JSON de chat VS Code détecté',
+    USING_CONFIG: '⚙️  Configuration utilisée :',
+    ANALYZING_CONTENT: '🔍 Analyse du contenu...',
+    FOUND_SECTIONS: '   Trouvé :',
+    SECTIONS_RAW: 'sections (brutes)',
+    AFTER_MERGE: '   Après fusion :',
+    SECTIONS: 'sections',
+    USER_PROMPTS: 'prompts utilisateur',
+    AGENT_RESPONSES: 'réponses de l\'agent',
+    ACTION_SEQUENCES: 'séquences d\'actions',
+    FORMATTING_CONTENT: '✨ Mise en forme du contenu...',
+    RENDERING_HTML: '🌐 Génération de la page HTML...',
+    RENDERING_JSON: '🧩 Construction du modèle de session...',
+    FILE_SAVED: '✅ Fichier mis en forme enregistré :',
+    APPENDING_TURNS: '➕ Ajout des tours bruts collés après les tours mis en forme.',
+    APPENDED_SECTIONS: '   Ajouté :',
+    FORCED_REPROCESSING: '🔄 Retraitement forcé : sections relues depuis le document mis en forme.',
+    REDACTED_VALUES: '🔒 Valeurs masquées :',
+    NOTHING_REDACTED: '🔒 Rien à masquer.',
+    BATCH_SKIPPED: '⏭️  Déjà traité :',
+    BATCH_SUMMARY: '📚 Lot terminé :',
+    COUNT_FORMATTED: 'mis en forme',
+    COUNT_SKIPPED: 'ignorés',
+    COUNT_FAILED: 'en échec',
+    COUNT_CLEAN: 'à jour',
+    COUNT_PENDING: 'à mettre en forme',
+    INDEX_SAVED: '🗂️  Index enregistré :',
+    WATCHING: '👀 Surveillance de',
+    WATCH_HINT: 'pour les sessions brutes (Ctrl+C pour arrêter)',
+    INDEX_TITLE: '# Sessions de chat',
+    INDEX_HEADER: '| Session | Date | Premier prompt | Prompts | Réponses |',
+    PART_SAVED: '📄 Partie enregistrée :',
+    SPLIT_PARTS: '✂️  Découpé en parties :',
+    SPLIT_PART: 'Partie',
+    SPLIT_INDEX: 'Index',
+    SPLIT_INDEX_HEADER: '| Partie | Tours | Premier prompt |',
+    CHECK_CLEAN: '✅ À jour :',
+    CHECK_UNFORMATTED: '❌ Non mis en forme :',
+    CHECK_CHANGED: '❌ Serait modifié :',
+    CHECK_UNSUPPORTED: '⚠️  Non vérifié (index de découpage : passer --split, parties à côté) :',
+    CHECK_SUMMARY: '🔎 Vérification terminée :',
+    MERGING_SESSION: '🔗 Fusion de la session :',
+    MERGED_SESSIONS: '🔗 Sessions fusionnées :',
+    PROMPTS_SAVED: '📚 Catalogue de prompts enregistré :',
+    PROMPTS_SUMMARY: '📚 Catalogue de prompts :',
+    PROMPTS_COUNT: 'prompts',
+    PROMPTS_MERGED: 'quasi-doublons fusionnés',
+    DATASET_SAVED: '🧪 Jeu de données enregistré :',
+    DATASET_SUMMARY: '🧪 Jeu de données :',
+    DATASET_RECORDS: 'enregistrements',
+    STATS_TITLE: '📊 Statistiques de la session :',
+    STATS_PROFILE: 'Profil :',
+    STATS_TURNS: 'Tours :',
+    STATS_PROMPTS: 'Prompts :',
+    STATS_RESPONSES: 'Réponses :',
+    STATS_ACTIONS: 'Actions :',
+    STATS_COMMANDS: 'Commandes terminal :',
+    STATS_FAILED_COMMANDS: 'Commandes en échec :',
+    STATS_COMPACTIONS: 'Compactages de l\'historique :',
+    STATS_CONTINUATIONS: 'Continuations ignorées :',
+    STATS_FILES: 'Fichiers',
+    STATS_WORDS: 'mots',
+    STATS_EACH: 'chacun',
+    STATS_JSON_EXPORT: 'export json',
+    STATS_FORMATTED: 'document formaté',
+
+    // Document labels
+    TERMINAL_COMMAND: 'Commande terminal',
+    TERMINAL_OUTPUT: 'Sortie',
+    TERMINAL_LINES: 'lignes',
+    TERMINAL_LINE: 'ligne',
+    TERMINAL_EXIT_CODE: 'code de sortie',
+    TERMINAL_OMITTED: 'lignes omises',
+    TERMINAL_OMITTED_ONE: 'ligne omise',
+    TOC_TURN: 'Tour',
+    FILES_TURN: 'tour',
+    FILES_READ: 'Lus',
+    FILES_CREATED: 'Créés',
+    FILES_EDITED: 'Modifiés',
+    PROMPTS_TITLE: '# 📚 Catalogue de prompts',
+    PROMPTS_SOURCE: 'Source :',
+    PROMPTS_ALSO_IN: 'Aussi dans :',
+    PROMPTS_CONTEXT: 'Contexte :',
+
+    // Error messages
+    ALREADY_PROCESSED: '⚠️  Fichier déjà traité. Utilisez --force pour le retraiter.',
+    NO_PROJECT_ROOT: '⚠️  Aucune racine de projet détectée : les chemins ne sont pas simplifiés.',
+    MISSING_FILE: '⚠️  Fichier référencé introuvable :',
+    ALREADY_PROCESSED_RAW_NEEDED: '❌ Fichier déjà traité : ce format de sortie nécessite la session brute.',
+    SPLIT_MARKDOWN_ONLY: 'Le découpage nécessite le format de sortie Markdown',
+    SPLIT_NEEDS_FILE: 'Le découpage écrit plusieurs fichiers : il n\'est pas disponible en mode pipe',
+    MERGE_NEEDS_INPUTS: 'La fusion nécessite au moins deux fichiers d\'entrée',
+    MERGE_MARKDOWN_ONLY: 'La fusion nécessite le format de sortie Markdown',
+    ERROR_PROCESSING: '❌ Erreur lors du traitement du fichier :',
+    NO_INPUT_MATCH: 'Aucun fichier d\'entrée ne correspond à :',
+    UNKNOWN_LOCALE: 'Langue inconnue :',
+    NO_USER_ID: '❌ Impossible de détecter l\'identifiant utilisateur dans le fichier.\n' +
+                '   Format attendu : "utilisateur:" en début de ligne, suivi d\'un tour de l\'agent.\n' +
+                '   Vérifiez que le fichier contient des prompts au format "utilisateur: <contenu>",\n' +
+                '   ou choisissez le profil d\'interlocuteurs de votre outil avec --profile.',
+
+    // CLI help
+    CLI_USAGE: 'Usage : node scripts/format-chat-session.js <fichier-entrée> [fichier-sortie] [options]',
+    CLI_DESC: 'Met en forme un fichier Markdown brut de session de chat en un document structuré et lisible.',
+    CLI_STATS_USAGE: '        node scripts/format-chat-session.js stats <entrées...> [--stats-json]',
+    CLI_MERGE_USAGE: '        node scripts/format-chat-session.js merge <entrées...> [-o <fichier-sortie>] [--order <o>]',
+    CLI_PROMPTS_USAGE: '        node scripts/format-chat-session.js prompts <entrées...> [-o <fichier-sortie>] [--format <f>]',
+    CLI_DATASET_USAGE: '        node scripts/format-chat-session.js dataset <entrées...> [-o <fichier-sortie>] [--records <r>]',
+    CLI_ARGS: 'Arguments :',
+    CLI_BATCH: 'Mode lot (plusieurs entrées, un dossier, un glob entre guillemets ou --out-dir) :',
+    CLI_BATCH_INPUTS: '  <entrées...>    Fichiers, dossiers ou motifs glob ("prompts/**/*.md")',
+    CLI_INPUT: '  <fichier-entrée> Fichier Markdown brut ou export JSON de chat VS Code (requis)',
+    CLI_OUTPUT: '  [fichier-sortie] Fichier de sortie (optionnel, remplace l\'entrée par défaut,\n' +
+                '                  ou écrit <entrée>.md à côté d\'un export .json)',
+    CLI_OPTIONS: 'Options :',
+    CLI_FORCE: '  --force         Forcer le retraitement même si le fichier est déjà mis en forme',
+    CLI_PROFILE: '  --profile <p>   Profil d\'interlocuteurs : copilot, cursor, claude, continue ou un fichier JSON\n' +
+                 '                  (détecté automatiquement par défaut)',
+    CLI_FORMAT: '  --format <f>    Format de sortie : markdown (par défaut), html ou json\n' +
+                '                  (commande prompts : jsonl, par défaut, ou markdown)',
+    CLI_TEMPLATE: '  --template <t>  Modèles de sortie : default, github, obsidian, plain ou un fichier JSON',
+    CLI_LANG: '  --lang <l>      Langue des messages et des titres : en ou fr\n' +
+              '                  (par défaut : configuration, puis LANG)',
+    CLI_REDACT: '  --redact        Masquer les secrets, e-mails, chemins personnels et l\'identifiant utilisateur',
+    CLI_REDACT_RULES: '  --redact-rules <fichier>  Règles de masquage supplémentaires (JSON), implique --redact',
+    CLI_OUT_DIR: '  --out-dir <dir> Mode lot : écrire les sorties sous <dir>, en reproduisant l\'arborescence',
+    CLI_NO_INDEX: '  --no-index      Mode lot : ne pas écrire index.md',
+    CLI_WATCH: '  --watch <dir>   Mettre en forme les sessions brutes enregistrées dans <dir> (respecte --out-dir)',
+    CLI_CONFIG: '  --config <fichier> Fichier de configuration (par défaut : .smyprc, .smyprc.json,\n' +
+                '                  smyp.config.js ou smyp.config.mjs le plus proche au-dessus de l\'entrée)',
+    CLI_PROJECT_ROOT: '  --project-root <dirs>  Racine(s) du projet pour simplifier les chemins, séparées par des virgules\n' +
+                      '                  (détectées depuis les fichiers référencés par défaut)',
+    CLI_SPLIT: '  --split <s>     Découper en parties avec un index parent : turns:<n>, summary\n' +
+               '                  (à chaque résumé de conversation) ou size:<octets>[k|m]',
+    CLI_TOC: '  --toc           Ajouter une table des matières vers chaque tour (Markdown)',
+    CLI_FILES_TOUCHED: '  --files-touched Ajouter une section « Fichiers touchés » et des listes en frontmatter (Markdown)',
+    CLI_TERMINAL_LINES: '  --terminal-lines <n>  Afficher au plus <n> lignes de chaque sortie terminal (les premières et les dernières)',
+    CLI_LINK_FILES: '  --link-files    Lier les fichiers référencés du projet local, signaler ceux qui manquent (Markdown)',
+    CLI_LINE_RANGES: '  --line-ranges   Avec --link-files, lier les plages de lignes #file: à leurs lignes',
+    CLI_CHECK: '  --check         Ne rien écrire, sortir avec le code 1 si un fichier n\'est pas à jour',
+    CLI_DIFF: '  --diff          Ne rien écrire, afficher un diff unifié de ce qui serait écrit',
+    CLI_ORDER: '  --order <o>     Commande merge : ordre des sessions, date (par défaut) ou args',
+    CLI_MERGE_OUTPUT: '  -o, --output <fichier>  Commandes merge, prompts et dataset : fichier de sortie (par défaut : stdout)',
+    CLI_NO_DEDUPE: '  --no-dedupe     Commande prompts : garder les prompts quasi identiques',
+    CLI_RECORDS: '  --records <r>   Commande dataset : un enregistrement par conversation (par défaut) ou par tour',
+    CLI_NO_ACTIONS: '  --no-actions    Commande dataset : retirer les actions techniques',
+    CLI_NO_COMMANDS: '  --no-commands   Commande dataset : retirer les commandes terminal et leur sortie',
+    CLI_STATS_JSON: '  --stats-json    Commande stats : afficher les statistiques en JSON',
+    CLI_HELP: '  --help, -h      Afficher cette aide',
+    CLI_EXAMPLES: 'Exemples :',
+    CLI_PIPE: 'Mode pipe :',
+  },
+
+  visualMarkers: {
+    USER_PROMPT: '## 👤 Prompt utilisateur',
+    AGENT_RESPONSE: '## 🤖 Réponse',
+    AGENT_ACTION: '<details><summary>🔧 Actions techniques</summary>',
+    FILES_TOUCHED: '## 📂 Fichiers touchés',
+    TOC: '## 📑 Sommaire',
+    SESSION: '# 🗂️ Session :',
+  },
+};
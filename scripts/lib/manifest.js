@@ -0,0 +1,217 @@
+/**
+ * @file manifest.js
+ * @description "Files touched" manifest: files referenced by actions and
+ * `#file:` context references, grouped by operation
+ */
+
+import { MARKERS, VISUAL_MARKERS, TEXTS } from './constants.js';
+import { parseAction } from './model.js';
+import { turnAnchor } from './formatters.js';
+import { findKnownPath, normalizePath, simplifyPath } from './paths.js';
+
+// Action types listed in the manifest, with their group
+const OPERATION_GROUPS = { read: 'read', create: 'created', edit: 'edited' };
+
+// Label keys of the groups in the manifest section (TEXTS), by group
+const GROUP_LABELS = { read: 'FILES_READ', created: 'FILES_CREATED', edited: 'FILES_EDITED' };
+
+// `#file:` context references (trailing punctuation is not part of the path),
+// raw or formatted (`📄 path`)
+const FILE_REFERENCE_PATTERN = /#file:([^\s]+?)[.,;:!?)]*(?=\s|$)|`📄 ([^`]+)`/g;
+
+// Line range after a referenced file ("src/app.js:10-20")
+const LINE_RANGE_PATTERN = /:\d+(?:-\d+)?$/;
+
+/**
+ * Converts a `#file:` reference to a path without its line range:
+ * absolute, or relative to a project root ("/src/app.js")
+ * @param {string} reference - Referenced path
+ * @returns {{path: string, absolute: boolean, reference: boolean}} Normalized path
+ */
+const referencePath = (reference) => {
+  const path = reference.replace(LINE_RANGE_PATTERN, '');
+  return { path: normalizePath(path), absolute: /^(?:\/|[A-Za-z]:[\\/])/.test(path), reference: true };
+};
+
+/**
+ * Resolves a file of the manifest to its absolute path, so that a file
+ * named both by an action and by a context reference is listed once. Paths
+ * relative to a project root are matched against the known paths of the
+ * session (simplified the same way or, for references, ending with them),
+ * otherwise placed in the first root.
+ * @param {{path: string, absolute: boolean, reference: boolean}} file - File path
+ * @param {Array<string>} knownPaths - Absolute paths named in the session
+ * @param {Array<string>} projectRoots - Project roots
+ * @returns {string} Absolute path (the path itself without project root)
+ */
+const canonicalPath = ({ path, absolute, reference }, knownPaths, projectRoots) => {
+  if (absolute) return path;
+  const match = findKnownPath(path, knownPaths, projectRoots, { suffix: reference });
+  if (match) return match;
+  return projectRoots.length > 0 ? `${projectRoots[0].replace(/\/$/, '')}${path}` : path;
+};
+
+/**
+ * Lists the text of a merged section (prompt or response, placeholders included)
+ * @param {object} section - Merged section
+ * @returns {string} Section text
+ */
+const sectionText = (section) => {
+  return Array.isArray(section.content) ? section.content.join('\n') : (section.content || '');
+};
+
+/**
+ * Lists the action lines of a section: its action sequences, or the items of
+ * the action blocks kept in the body of a re-parsed formatted section
+ * @param {object} section - Merged section
+ * @returns {Array<string>} Action lines
+ */
+const actionLines = (section) => {
+  if (section.preformatted) {
+    const lines = [];
+    let inBlock = false;
+    // Action block templates may quote their items ("> - Read ...")
+    for (const line of sectionText(section).split('\n').map(text => text.replace(/^(?:> ?)+/, ''))) {
+      if (line === MARKERS.AGENT_ACTION) {
+        inBlock = true;
+      } else if (inBlock && line.startsWith('- ')) {
+        lines.push(line.slice(2));
+      } else if (inBlock && lines.length > 0 && line.trim() !== '' && !/^\s/.test(line)) {
+        // Indented lines (edit diffs) belong to the item above them
+        inBlock = false;
+      }
+    }
+    return lines;
+  }
+
+  const actionSections = section.type === 'agent-action' ? [section] : (section.actions || []);
+  return actionSections
+    .filter(Boolean)
+    .flatMap(actionSection => [].concat(actionSection.content || []))
+    .filter(Boolean);
+};
+
+/**
+ * Collects the files named by the actions and `#file:` context references of
+ * sections, with their group and turn
+ * @param {Array} sections - Merged sections, numbered by turn
+ * @param {Array<string>} roots - Project roots
+ * @returns {Array<{group: string, file: {path: string, absolute: boolean, reference: boolean}, turn: number}>}
+ *   Files in order of reference
+ */
+const collectFiles = (sections, roots) => {
+  const files = [];
+
+  for (const section of sections) {
+    for (const line of actionLines(section)) {
+      const action = parseAction(line, roots);
+      for (const { path, absolutePath } of action.edits || [action]) {
+        if (!OPERATION_GROUPS[action.type] || !path) continue;
+        files.push({
+          group: OPERATION_GROUPS[action.type],
+          file: { path: absolutePath || path, absolute: Boolean(absolutePath), reference: false },
+          turn: section.turn,
+        });
+      }
+    }
+
+    for (const match of sectionText(section).matchAll(FILE_REFERENCE_PATTERN)) {
+      files.push({ group: 'read', file: referencePath(match[1] || match[2]), turn: section.turn });
+    }
+  }
+
+  return files;
+};
+
+/**
+ * Lists the absolute paths of collected files: absolute paths first, then
+ * the paths of actions re-parsed from a formatted document
+ * @param {Array<{file: object}>} files - Collected files
+ * @param {Array<string>} roots - Project roots
+ * @returns {Array<string>} Absolute paths
+ */
+const knownPathsOf = (files, roots) => {
+  const absolutePaths = files.filter(({ file }) => file.absolute).map(({ file }) => file.path);
+  return [
+    ...absolutePaths,
+    ...files
+      .filter(({ file }) => !file.absolute && !file.reference)
+      .map(({ file }) => canonicalPath(file, absolutePaths, roots)),
+  ];
+};
+
+/**
+ * Lists the absolute paths of the files touched during a session (actions
+ * and context references), to locate the workspace-relative references
+ * @param {Array} sections - Merged sections
+ * @param {Array<string>} projectRoots - Project roots
+ * @returns {Array<string>} Absolute paths
+ */
+export const touchedPaths = (sections, projectRoots) => {
+  const roots = [].concat(projectRoots || []);
+  return [...new Set(knownPathsOf(collectFiles(sections, roots), roots))];
+};
+
+/**
+ * Collects the files touched during a session, grouped by operation: files
+ * read (actions and `#file:` context references), created and edited
+ * @param {Array} sections - Merged sections, numbered by turn
+ * @param {Array<string>} projectRoots - Project roots
+ * @returns {{read: Array<{path: string, turn: number}>, created: Array<{path: string, turn: number}>,
+ *   edited: Array<{path: string, turn: number}>}} Files in order of first reference, with that turn
+ */
+export const collectTouchedFiles = (sections, projectRoots) => {
+  const roots = [].concat(projectRoots || []);
+  const files = collectFiles(sections, roots);
+  const knownPaths = knownPathsOf(files, roots);
+
+  // Each file is listed as its most precise form names it: simplified absolute path,
+  // path of an action, then path of a reference
+  const precision = ({ absolute, reference }) => (absolute ? 0 : reference ? 2 : 1);
+  const labels = new Map();
+  for (const { file } of [...files].sort((a, b) => precision(a.file) - precision(b.file))) {
+    const path = canonicalPath(file, knownPaths, roots);
+    if (!labels.has(path)) labels.set(path, file.absolute ? simplifyPath(path, roots) : file.path);
+  }
+
+  const groups = Object.fromEntries(Object.keys(GROUP_LABELS).map(group => [group, new Map()]));
+  for (const { group, file, turn } of files) {
+    const path = canonicalPath(file, knownPaths, roots);
+    if (!groups[group].has(path)) groups[group].set(path, turn);
+  }
+
+  return Object.fromEntries(Object.entries(groups).map(([group, entries]) => [
+    group,
+    [...entries].map(([path, firstTurn]) => ({ path: labels.get(path), turn: firstTurn })),
+  ]));
+};
+
+/**
+ * Formats the "Files touched" section: one list per operation, each file
+ * linked to the turn where it first appears
+ * @param {object} files - Files from `collectTouchedFiles()`
+ * @param {object} [visualMarkers] - Section headers (VISUAL_MARKERS by default)
+ * @param {import('./links.js').LinkResolver} [links] - Link resolver (files of the local project
+ *   are linked relative to the output document)
+ * @returns {string} Formatted Markdown (empty if no file was touched)
+ */
+export const formatFilesTouched = (files, visualMarkers = VISUAL_MARKERS, links) => {
+  const lists = Object.entries(files)
+    .filter(([, entries]) => entries.length > 0)
+    .map(([group, entries]) => {
+      const items = entries.map(({ path, turn }) => {
+        const href = links?.file(path)?.href || path.replace(/ /g, '%20');
+        return `- [${path}](${href}) · [${TEXTS.FILES_TURN} ${turn}](#${turnAnchor(turn)})`;
+      });
+      return `**${TEXTS[GROUP_LABELS[group]]}** (${entries.length})\n\n${items.join('\n')}`;
+    });
+
+  if (lists.length === 0) return '';
+
+  return `${MARKERS.FILES_TOUCHED}
+${visualMarkers.FILES_TOUCHED}
+
+${lists.join('\n\n')}
+
+`;
+};
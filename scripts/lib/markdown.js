@@ -0,0 +1,270 @@
+/**
+ * @file markdown.js
+ * @description Minimal Markdown to HTML conversion with code highlighting (no dependencies)
+ */
+
+import { matchFence, closesFence } from './fences.js';
+
+/**
+ * Escapes HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const KEYWORDS = {
+  js: [
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default',
+    'delete', 'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'from',
+    'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'null', 'of', 'return',
+    'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'undefined',
+    'var', 'void', 'while', 'yield', 'interface', 'type', 'enum', 'implements',
+  ],
+  python: [
+    'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+    'elif', 'else', 'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import',
+    'in', 'is', 'lambda', 'None', 'not', 'or', 'pass', 'raise', 'return', 'True', 'try',
+    'while', 'with', 'yield',
+  ],
+  shell: [
+    'if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'do', 'done', 'case', 'esac',
+    'function', 'in', 'export', 'local', 'return', 'echo', 'cd', 'npm', 'npx', 'node',
+    'git', 'sudo',
+  ],
+  json: ['true', 'false', 'null'],
+};
+
+const LANGUAGE_ALIASES = {
+  js: 'js', javascript: 'js', jsx: 'js', mjs: 'js', cjs: 'js',
+  ts: 'js', typescript: 'js', tsx: 'js', vue: 'js', java: 'js', c: 'js', cpp: 'js',
+  csharp: 'js', go: 'js', rust: 'js', php: 'js',
+  py: 'python', python: 'python',
+  sh: 'shell', bash: 'shell', shell: 'shell', zsh: 'shell', console: 'shell',
+  yaml: 'shell', yml: 'shell', toml: 'shell', dockerfile: 'shell',
+  json: 'json', jsonc: 'json',
+};
+
+/**
+ * Highlights source code with token spans (comments, strings, numbers, keywords)
+ * @param {string} code - Source code
+ * @param {string} [language] - Fence language
+ * @returns {string} HTML with `tok-*` spans
+ */
+export const highlightCode = (code, language = '') => {
+  const family = LANGUAGE_ALIASES[language.toLowerCase()];
+  if (!family) return escapeHtml(code);
+
+  const comment = family === 'js'
+    ? '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/'
+    : family === 'json' ? '(?!)' : '#[^\\n]*';
+  const keywords = KEYWORDS[family].join('|');
+  const tokenPattern = new RegExp(
+    `(${comment})|("(?:\\\\.|[^"\\\\\\n])*"|'(?:\\\\.|[^'\\\\\\n])*'|\`(?:\\\\.|[^\`\\\\])*\`)` +
+    `|(\\b\\d+(?:\\.\\d+)?\\b)|(\\b(?:${keywords})\\b)`,
+    'g'
+  );
+
+  let html = '';
+  let lastIndex = 0;
+  for (const match of code.matchAll(tokenPattern)) {
+    html += escapeHtml(code.slice(lastIndex, match.index));
+    const kind = match[1] ? 'comment' : match[2] ? 'string' : match[3] ? 'number' : 'keyword';
+    html += `<span class="tok-${kind}">${escapeHtml(match[0])}</span>`;
+    lastIndex = match.index + match[0].length;
+  }
+  html += escapeHtml(code.slice(lastIndex));
+
+  return html;
+};
+
+// Inline link: label, then target (balanced parentheses allowed: "javascript:alert(1)")
+const INLINE_LINK = /\[([^\]]*)\]\(((?:[^()\n]|\([^()\n]*\))+)\)/g;
+
+// Link targets running code when followed (control characters and spaces ignored, as browsers do)
+const UNSAFE_URL = /^(?:javascript|vbscript|data):/i;
+
+/**
+ * Converts an inline link to HTML: its label alone when the target is unsafe
+ * @param {string} label - Escaped label
+ * @param {string} url - Escaped target
+ * @returns {string} HTML
+ */
+const linkToHtml = (label, url) => {
+  if (UNSAFE_URL.test(url.replace(/[\s\u0000-\u001f]/g, ''))) return label || url;
+  return `<a href="${url.trim().replace(/ /g, '%20')}">${label || url}</a>`;
+};
+
+/**
+ * Converts inline Markdown (code spans, emphasis, links) to HTML
+ * @param {string} text - Inline Markdown
+ * @returns {string} HTML
+ */
+export const inlineToHtml = (text) => {
+  const codeSpans = [];
+  const withoutCode = text.replace(/`([^`]+)`/g, (match, code) => {
+    codeSpans.push(`<code>${escapeHtml(code)}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  return escapeHtml(withoutCode)
+    .replace(INLINE_LINK, (match, label, url) => linkToHtml(label, url))
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_([^_\s][^_]*?)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[Number(index)]);
+};
+
+/**
+ * Converts a group of paragraph lines to HTML, honoring hard breaks (two trailing spaces)
+ * @param {Array<string>} lines - Paragraph lines
+ * @returns {string} HTML paragraph
+ */
+const paragraphToHtml = (lines) => {
+  const html = lines
+    .map((line, index) => {
+      const hardBreak = index < lines.length - 1 && / {2,}$/.test(line);
+      return inlineToHtml(line.trim()) + (hardBreak ? '<br>' : '');
+    })
+    .join('\n');
+  return `<p>${html}</p>`;
+};
+
+/**
+ * Splits a table row into trimmed cells
+ * @param {string} line - Table row
+ * @returns {Array<string>} Cells
+ */
+const tableCells = (line) => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+
+const LIST_ITEM = /^\s*(?:[-*+]|(\d+)\.)\s+(.*)$/;
+const HTML_COMMENT = /^\s*<!--.*-->\s*$/;
+
+/**
+ * Converts Markdown to HTML (headings, paragraphs, lists, quotes, tables, fences).
+ * Raw HTML is escaped, HTML comments are dropped.
+ * @param {string} markdown - Markdown text
+ * @returns {string} HTML
+ */
+export const markdownToHtml = (markdown) => {
+  const lines = markdown.split('\n');
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (trimmed === '') {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = matchFence(trimmed);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !closesFence(lines[i].trim(), fence)) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const language = fence.info.split(/\s/)[0];
+      const className = language ? ` class="language-${escapeHtml(language)}"` : '';
+      html.push(`<pre><code${className}>${highlightCode(code.join('\n'), language)}</code></pre>`);
+      continue;
+    }
+
+    // Heading
+    const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${inlineToHtml(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    // Horizontal rule
+    if (/^(?:-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    // HTML comments (structure markers) are not rendered
+    if (HTML_COMMENT.test(line)) {
+      i++;
+      continue;
+    }
+
+    // Blockquote
+    if (trimmed.startsWith('>')) {
+      const quote = [];
+      while (i < lines.length && lines[i].trim().startsWith('>')) {
+        quote.push(lines[i].trim().replace(/^>\s?/, ''));
+        i++;
+      }
+      html.push(`<blockquote>${markdownToHtml(quote.join('\n'))}</blockquote>`);
+      continue;
+    }
+
+    // Table (header row followed by a separator row)
+    if (trimmed.includes('|') && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1] || '')) {
+      const header = tableCells(line).map(cell => `<th>${inlineToHtml(cell)}</th>`).join('');
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+        rows.push(`<tr>${tableCells(lines[i]).map(cell => `<td>${inlineToHtml(cell)}</td>`).join('')}</tr>`);
+        i++;
+      }
+      html.push(`<table><thead><tr>${header}</tr></thead><tbody>${rows.join('')}</tbody></table>`);
+      continue;
+    }
+
+    // List (flat: nested items are rendered at the same level)
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      const tag = item[1] ? 'ol' : 'ul';
+      const items = [];
+      while (i < lines.length) {
+        const current = lines[i].match(LIST_ITEM);
+        if (current) {
+          items.push(current[2]);
+        } else if (lines[i].trim() !== '' && /^\s+/.test(lines[i]) && items.length > 0) {
+          items[items.length - 1] += ` ${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i++;
+      }
+      html.push(`<${tag}>${items.map(text => `<li>${inlineToHtml(text)}</li>`).join('')}</${tag}>`);
+      continue;
+    }
+
+    // Paragraph
+    const paragraph = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() !== '' &&
+      !/^(`{3,}|~{3,}|#{1,6}\s|>)/.test(lines[i].trim()) &&
+      !LIST_ITEM.test(lines[i]) &&
+      !HTML_COMMENT.test(lines[i])
+    ) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    if (paragraph.length === 0) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    html.push(paragraphToHtml(paragraph));
+  }
+
+  return html.join('\n');
+};
@@ -0,0 +1,221 @@
+/**
+ * @file merge.js
+ * @description Merging several sessions (raw or formatted) into one
+ * chronological document, with a separator before each session
+ */
+
+import { TEXTS } from './constants.js';
+import { format } from './format.js';
+import { isAlreadyProcessed, parseFormatted, parseFrontmatter } from './parsers.js';
+import { formatSection, generateFrontmatter } from './formatters.js';
+import { createConfig } from './config.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+import { ConfigurationError } from './errors.js';
+
+// Session orders: by session date, or as given
+export const MERGE_ORDERS = ['date', 'args'];
+
+/**
+ * Input session of a merge
+ * @typedef {Object} MergeInput
+ * @property {string} name - File name, shown in the session separator
+ * @property {string} content - Raw or formatted session content
+ * @property {string} [date] - Fallback date of the session (file modification time)
+ */
+
+/**
+ * Formats one input session and re-parses it into sections
+ * @param {MergeInput} input - Input session
+ * @param {object} options - `format()` options of the session
+ * @returns {{name: string, sections: Array, frontmatter: object, date: string|null,
+ *   sources: Array<string>, result: object}} Parsed session
+ */
+const loadSession = (input, options) => {
+  const original = isAlreadyProcessed(input.content) ? parseFrontmatter(input.content) : {};
+  const result = format(input.content, {
+    ...options,
+    format: 'markdown',
+    force: true,
+    inputFile: input.name,
+  });
+  const frontmatter = parseFrontmatter(result.output);
+  const sections = parseFormatted(result.output);
+
+  // A merged input keeps its own separators and sources
+  const merged = sections[0]?.type === 'session';
+  return {
+    name: input.name,
+    sections: merged ? sections : [{ type: 'session', source: input.name, content: [''], raw: '' }, ...sections],
+    frontmatter,
+    date: frontmatter.sessionStart || original.processedDate || input.date || null,
+    sources: merged ? [].concat(frontmatter.sources || []) : [input.name],
+    result,
+  };
+};
+
+/**
+ * Sorts sessions by date (sessions without a date last), keeping the
+ * argument order of sessions with the same date
+ * @param {Array} sessions - Parsed sessions
+ * @returns {Array} Sorted sessions
+ */
+const sortByDate = (sessions) => {
+  const time = (session) => {
+    const value = Date.parse(session.date);
+    return Number.isNaN(value) ? Infinity : value;
+  };
+  return sessions
+    .map((session, position) => ({ session, position }))
+    .sort((a, b) => (time(a.session) - time(b.session)) || (a.position - b.position))
+    .map(({ session }) => session);
+};
+
+/**
+ * Numbers the turns of sessions one after another
+ * @param {Array} sessions - Parsed sessions, in document order
+ * @returns {Array} Sections of all sessions, turns renumbered from 1
+ */
+const renumberTurns = (sessions) => {
+  let offset = 0;
+  return sessions.flatMap(({ sections }) => {
+    const turns = [...new Set(sections.map(section => section.turn).filter(Boolean))];
+    const renumbered = sections.map(section => (section.turn
+      ? { ...section, turn: offset + turns.indexOf(section.turn) + 1 }
+      : section));
+    offset += turns.length;
+    return renumbered;
+  });
+};
+
+/**
+ * Lists the unique values of a frontmatter field across sessions
+ * @param {Array} sessions - Parsed sessions
+ * @param {Function} read - Reads the values of a frontmatter
+ * @returns {Array<string>} Unique values, in order
+ */
+const collect = (sessions, read) => {
+  return [...new Set(sessions.flatMap(({ frontmatter }) => [].concat(read(frontmatter) || [])))]
+    .filter(value => value && value !== 'N/A');
+};
+
+/**
+ * Merges several sessions into one Markdown document: each input is formatted
+ * (or re-parsed when already formatted), the sessions are ordered, their turns
+ * numbered one after another, and a separator names the file of each session.
+ * The document has a single frontmatter listing all sources (`sources`).
+ * @param {Array<MergeInput>} inputs - Input sessions (at least two)
+ * @param {object} [options] - Merge options
+ * @param {string} [options.order='date'] - Session order: `date` (session start, processing date, then
+ *   the input date) or `args` (as given)
+ * @param {string} [options.name='merged.md'] - Output file name (names the parts when split)
+ * @param {string} [options.format='markdown'] - Output format (only Markdown is supported)
+ * @param {string|object} [options.profile] - Speaker profile of the raw inputs (auto-detected if omitted)
+ * @param {boolean} [options.redact=false] - Redact each session (its user identifier included)
+ * @param {Array<object>} [options.redactionRules=[]] - Additional redaction rules
+ * @param {string|Array<string>} [options.projectRoot] - Project root(s), detected per session if omitted
+ * @param {boolean} [options.snapProjectRoot=false] - Snap detected roots to local project directories
+ * @param {object} [options.config] - Project configuration, compiled or as a definition
+ * @param {boolean} [options.toc=false] - Add a table of contents
+ * @param {boolean} [options.filesTouched=false] - Add the "Files touched" section and frontmatter lists
+ * @param {string|object} [options.split] - Split the merged document into parts (see `format()`)
+ * @param {string} [options.processedDate] - Processing date (defaults to now)
+ * @param {import('./format.js').Logger} [options.logger] - Progress logger (silent by default)
+ * @returns {{output: string, stats: object, warnings: Array<string>, parts?: Array<{file: string, output: string}>}}
+ *   Same shape as `format()`; `stats.sources` lists the merged files in document order
+ * @throws {ConfigurationError} If an option is invalid or fewer than two inputs are given
+ * @throws {import('./errors.js').UserIdentifierNotFoundError} If a raw input has no detectable prompt
+ *   (the message starts with the input name)
+ */
+export const mergeSessions = (inputs, {
+  order = 'date',
+  name = 'merged.md',
+  format: outputFormat = 'markdown',
+  profile,
+  redact = false,
+  redactionRules = [],
+  projectRoot,
+  snapProjectRoot = false,
+  config: configDefinition,
+  toc = false,
+  filesTouched = false,
+  split,
+  processedDate = new Date().toISOString(),
+  logger = { log: () => {}, warn: () => {} },
+} = {}) => {
+  if (!MERGE_ORDERS.includes(order)) {
+    throw new ConfigurationError(`Unknown merge order: ${order} (available: ${MERGE_ORDERS.join(', ')})`);
+  }
+  if (!['markdown', 'md'].includes(outputFormat)) {
+    throw new ConfigurationError(TEXTS.MERGE_MARKDOWN_ONLY);
+  }
+  if (inputs.length < 2) {
+    throw new ConfigurationError(TEXTS.MERGE_NEEDS_INPUTS);
+  }
+  const config = createConfig(configDefinition);
+
+  const loaded = inputs.map(input => {
+    logger.log(`${TEXTS.MERGING_SESSION} ${input.name}`);
+    try {
+      return loadSession(input, {
+        profile,
+        redact,
+        redactionRules,
+        projectRoot,
+        snapProjectRoot,
+        config,
+        processedDate,
+        logger,
+      });
+    } catch (error) {
+      error.message = error.message.replace(/^(❌\s*)?/, `$1${input.name}: `);
+      throw error;
+    }
+  });
+  const sessions = order === 'date' ? sortByDate(loaded) : loaded;
+  const sections = renumberTurns(sessions);
+
+  const dates = (read) => collect(sessions, read).sort();
+  const startDates = dates(frontmatter => frontmatter.sessionStart);
+  const endDates = dates(frontmatter => frontmatter.sessionEnd);
+  const projectRoots = collect(sessions, frontmatter => frontmatter.projectRoots || frontmatter.projectRoot);
+  const sources = sessions.flatMap(session => session.sources);
+
+  // The merged document is rendered like any formatted document, from its markers
+  const document = generateFrontmatter({
+    projectRoot: projectRoots[0],
+    projectRoots,
+    inputFile: name,
+    processedDate,
+    metadata: {
+      agent: collect(sessions, frontmatter => frontmatter.agent)[0],
+      models: collect(sessions, frontmatter => frontmatter.models),
+      startDate: startDates[0],
+      endDate: endDates[endDates.length - 1],
+      sources,
+    },
+    lang: config.lang || DEFAULT_LOCALE,
+  }) + sections.map(section => formatSection(section, projectRoots, config.visualMarkers)).join('');
+
+  const result = format(document, {
+    force: true,
+    inputFile: name,
+    config,
+    toc,
+    filesTouched,
+    split,
+    splitName: name,
+    processedDate,
+    logger: { log: () => {}, warn: logger.warn },
+  });
+  logger.log(`${TEXTS.MERGED_SESSIONS} ${sessions.length}`);
+
+  return {
+    ...result,
+    stats: {
+      ...result.stats,
+      sources,
+      redactions: sessions.flatMap(session => session.result.stats.redactions),
+    },
+    warnings: [...sessions.flatMap(session => session.result.warnings), ...result.warnings],
+  };
+};
@@ -0,0 +1,154 @@
+/**
+ * @file model.js
+ * @description Structured session model (versioned schema) built from merged sections
+ */
+
+import { ACTION_TYPES, SESSION_SCHEMA } from './constants.js';
+import { fileUrlToPath, simplifyPath } from './paths.js';
+import { parseEditPayload } from './edits.js';
+import { splitTerminalCommands } from './terminal.js';
+
+/**
+ * Parses an action line into a structured action. String replacement
+ * actions followed by their payload also get their `edits`, the first edited
+ * file giving the action its path.
+ * @param {string} action - Raw action (e.g., "Read [](file:///path)") or formatted one ("Read [path](/path)")
+ * @param {string|Array<string>|null} projectRoots - Project root(s)
+ * @returns {{type: string, text: string, path: string|null, absolutePath: string|null,
+ *   edits?: Array<{path: string, absolutePath: string, oldText: string, newText: string}>}} Parsed action
+ *   (formatted actions only know the simplified path)
+ */
+export const parseAction = (action, projectRoots) => {
+  const [line] = action.split('\n');
+  const roots = [].concat(projectRoots || []);
+  const type = ACTION_TYPES.find(({ pattern }) => pattern.test(line))?.type || 'other';
+  const fileMatch = line.match(/file:\/\/\/([^)#\s]+)/);
+  // Linked paths keep their path from the project root as the link title
+  const linkMatch = !fileMatch &&
+    (line.match(/^\w+ \[[^\]]*\]\([^)\s]* "(\/[^"]*)"\)/) || line.match(/^\w+ \[[^\]]*\]\((\/[^)]*)\)/));
+  const edits = parseEditPayload(action).map(({ filePath, oldText, newText }) => ({
+    path: simplifyPath(filePath, roots),
+    absolutePath: filePath,
+    oldText,
+    newText,
+  }));
+
+  let absolutePath = null;
+  let path = null;
+  if (fileMatch) {
+    absolutePath = fileUrlToPath(fileMatch[1]);
+    path = simplifyPath(absolutePath, roots);
+  } else if (linkMatch) {
+    path = linkMatch[1];
+  } else if (edits.length > 0) {
+    ({ path, absolutePath } = edits[0]);
+  }
+
+  return edits.length > 0
+    ? { type, text: line, path, absolutePath, edits }
+    : { type, text: line, path, absolutePath };
+};
+
+/**
+ * Splits response text into text and terminal command items
+ * @param {string} text - Response text (without action placeholders)
+ * @returns {Array<object>} Items ({ type: 'text', text } or
+ *   { type: 'terminal-command', command, output, exitCode, failed })
+ */
+const textItems = (text) => {
+  return splitTerminalCommands(text).flatMap(segment => {
+    if (segment.type !== 'text') return [segment];
+    const trimmed = segment.text.trim();
+    return trimmed ? [{ type: 'text', text: trimmed }] : [];
+  });
+};
+
+/**
+ * Converts a merged agent-response section into ordered response items
+ * @param {object} section - Merged agent-response section
+ * @param {Array<string>} projectRoots - Project roots
+ * @returns {Array<object>} Items (text, actions, terminal-command)
+ */
+export const responseItems = (section, projectRoots) => {
+  const text = Array.isArray(section.content) ? section.content.join('\n\n') : (section.content || '');
+
+  return text
+    .split(/__ACTION_PLACEHOLDER_(\d+)__/)
+    .flatMap((part, index) => {
+      // Odd indexes are captured placeholder numbers
+      if (index % 2 === 1) {
+        const actionSection = section.actions?.[Number(part)];
+        const actions = Array.isArray(actionSection?.content) ? actionSection.content : [];
+        return actions.length > 0
+          ? [{ type: 'actions', actions: actions.filter(Boolean).map(a => parseAction(a, projectRoots)) }]
+          : [];
+      }
+      return textItems(part);
+    });
+};
+
+/**
+ * Builds the structured session model from merged sections
+ * @param {Array} sections - Merged sections
+ * @param {object} options - Session information
+ * @param {string|null} options.projectRoot - Project root path (the first one)
+ * @param {Array<string>} [options.projectRoots] - All project roots
+ * @param {string} options.inputFile - Input file name
+ * @param {string} options.processedDate - Processing date
+ * @param {string} [options.userIdentifier] - Detected user identifier
+ * @param {string} [options.profile] - Speaker profile name
+ * @param {object} [options.metadata] - Session metadata from structured imports
+ * @returns {object} Session model (see SESSION_SCHEMA)
+ */
+export const buildSessionModel = (sections, {
+  projectRoot,
+  projectRoots = projectRoot ? [projectRoot] : [],
+  inputFile,
+  processedDate,
+  userIdentifier = null,
+  profile = null,
+  metadata = {},
+}) => {
+  const turns = [];
+  let current = null;
+
+  const startTurn = (prompt) => {
+    current = { index: turns.length + 1, prompt, response: [] };
+    turns.push(current);
+  };
+
+  for (const section of sections) {
+    if (section.type === 'user-prompt') {
+      const text = Array.isArray(section.content) ? section.content.join('\n') : (section.content || '');
+      startTurn({
+        text: text.trim(),
+        timestamp: section.meta?.timestamp || null,
+        model: section.meta?.model || null,
+      });
+    } else if (section.type === 'agent-response' || section.type === 'agent-action') {
+      if (!current) startTurn(null);
+      const items = section.type === 'agent-response'
+        ? responseItems(section, projectRoots)
+        : [{ type: 'actions', actions: (section.content || []).map(a => parseAction(a, projectRoots)) }];
+      current.response.push(...items);
+    }
+  }
+
+  return {
+    schema: SESSION_SCHEMA.NAME,
+    version: SESSION_SCHEMA.VERSION,
+    session: {
+      sourceFile: inputFile,
+      projectRoot: projectRoot || null,
+      projectRoots,
+      userIdentifier,
+      profile,
+      agent: metadata.agent || null,
+      models: metadata.models || [],
+      startDate: metadata.startDate || null,
+      endDate: metadata.endDate || null,
+      processedDate,
+    },
+    turns,
+  };
+};
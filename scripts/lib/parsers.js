@@ -3,20 +3,10 @@
  * @description Parsing functions for chat session content
  */
 
-import { MARKERS, ACTION_PATTERNS, NOISE_PATTERNS, IGNORE_USER_PROMPTS } from './constants.js';
-
-/**
- * Safely decodes a URI component
- * @param {string} uri - URI to decode
- * @returns {string} Decoded URI or original if decoding fails
- */
-const safeDecodeURI = (uri) => {
-  try {
-    return decodeURIComponent(uri);
-  } catch {
-    return uri;
-  }
-};
+import { MARKERS, SECTION_MARKER_PATTERN } from './constants.js';
+import { BUILTIN_PROFILES, matchSpeaker, matchAnySpeaker } from './profiles.js';
+import { createFenceTracker, trackFences } from './fences.js';
+import { EDIT_ACTION_PATTERN } from './edits.js';
 
 /**
  * Detects if the file has already been processed
@@ -28,102 +18,343 @@ export const isAlreadyProcessed = (content) => {
 };
 
 /**
- * Extracts the project root path from content
- * @param {string} content - File content
- * @returns {string|null} Detected root path or null
+ * Parses the YAML frontmatter of a formatted document (flat `key: value` pairs,
+ * `[a, b]` lists)
+ * @param {string} content - Formatted content
+ * @returns {Object<string, string|Array<string>>} Frontmatter fields (empty if none)
+ */
+export const parseFrontmatter = (content) => {
+  const match = content.match(/^---\n([\s\S]*?)\n---/);
+  if (!match) return {};
+
+  const fields = {};
+  for (const line of match[1].split('\n')) {
+    const field = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!field) continue;
+    const [, key, value] = field;
+    const list = value.match(/^\[(.*)\]$/);
+    fields[key] = list
+      ? list[1].split(',').map(item => item.trim()).filter(Boolean)
+      : value;
+  }
+  return fields;
+};
+
+// Prefix of the lines of a body wrapped by a template (indentation, blockquote)
+const CONTENT_PREFIX_PATTERN = /^[ \t>]*$/;
+
+// Turn anchor line written before the first section of each turn
+const TURN_ANCHOR_PATTERN = /^<a id="turn-\d+"><\/a>$/;
+
+/**
+ * Parses a prompt metadata comment ("<!-- prompt-meta: timestamp=..., model=... -->")
+ * @param {string} line - Comment line
+ * @returns {{timestamp: string|null, model: string|null}} Prompt metadata
+ */
+const parsePromptMeta = (line) => {
+  const fields = Object.fromEntries(line
+    .slice(MARKERS.PROMPT_META.length, -' -->'.length)
+    .split(', ')
+    .map(field => field.split(/=(.*)/s)));
+  return { timestamp: fields.timestamp || null, model: fields.model || null };
+};
+
+/**
+ * Re-parses a formatted document into sections from its section markers.
+ * Bodies are kept as formatted (`preformatted`), turn IDs and prompt metadata
+ * are read back (bodies wrapped by a template, from their content markers);
+ * the frontmatter and generated sections (table of contents, files touched,
+ * part navigation) are dropped.
+ * @param {string} content - Formatted content
+ * @returns {Array<{type: string, content: Array<string>, raw: string, turn: number|undefined,
+ *   meta: object|undefined, preformatted: boolean}>} Prompt and response sections, and the
+ *   session separators of a merged document (`session` sections with their `source`)
  */
-export const extractProjectRoot = (content) => {
-  try {
-    const match = content.match(/file:\/\/\/(.+?)[)#\s]/);
-    if (!match) return null;
-
-    let fullPath = match[1];
-    if (!fullPath.startsWith('/')) {
-      fullPath = '/' + fullPath;
+export const parseFormatted = (content) => {
+  const sections = [];
+  let current = null;
+  let headingPending = false;
+  let navigationPending = false;
+  const trackFence = createFenceTracker();
+
+  for (const line of content.split('\n')) {
+    const inCodeBlock = trackFence(line).inCode;
+
+    // Navigation lines of split parts are regenerated
+    if (navigationPending && line.trim() !== '') {
+      navigationPending = false;
+      continue;
+    }
+    if (!inCodeBlock && line === MARKERS.PART_NAV) {
+      navigationPending = true;
+      continue;
     }
 
-    fullPath = safeDecodeURI(fullPath);
+    if (!inCodeBlock) {
+      const marker = line.match(SECTION_MARKER_PATTERN);
+      // Action sequences stay inside the response they belong to
+      if (marker && marker[1] !== 'agent-action') {
+        current = {
+          type: marker[1],
+          content: [],
+          raw: '',
+          turn: marker[2] ? Number(marker[2]) : undefined,
+          preformatted: true,
+        };
+        sections.push(current);
+        headingPending = true;
+        continue;
+      }
+      // Session separators of a merged document
+      if (line.startsWith(MARKERS.SESSION)) {
+        current = {
+          type: 'session',
+          source: line.slice(MARKERS.SESSION.length, -' -->'.length),
+          content: [],
+          raw: '',
+          preformatted: true,
+        };
+        sections.push(current);
+        headingPending = true;
+        continue;
+      }
+      if (TURN_ANCHOR_PATTERN.test(line)) continue;
+    }
+
+    if (!current) continue;
 
-    // Break down the path: /home/user/folder/project/...
-    const parts = fullPath.split('/').filter(Boolean);
-    // Take the first 4 segments: home, user, folder, project
-    if (parts.length >= 4) {
-      return '/' + parts.slice(0, 4).join('/');
+    // A body wrapped by a template lies between content markers, each line
+    // after the prefix of the opening one; the rest of the section is template
+    if (current.wrapped) {
+      if (line === `${current.prefix}${MARKERS.CONTENT_END}`) {
+        current.wrapped = null;
+        current.closed = true;
+      } else {
+        current.content.push(line.startsWith(current.prefix) ? line.slice(current.prefix.length) : '');
+      }
+      continue;
+    }
+    if (!inCodeBlock && line.endsWith(MARKERS.CONTENT) && CONTENT_PREFIX_PATTERN.test(line.slice(0, -MARKERS.CONTENT.length))) {
+      Object.assign(current, { content: [], wrapped: true, prefix: line.slice(0, -MARKERS.CONTENT.length) });
+      headingPending = false;
+      continue;
+    }
+    if (current.closed) continue;
+
+    // The visual marker (heading) follows the section marker and prompt metadata
+    if (headingPending) {
+      if (line.startsWith(MARKERS.PROMPT_META)) {
+        current.meta = parsePromptMeta(line);
+      } else if (line.trim() !== '') {
+        headingPending = false;
+      }
+      continue;
     }
 
-    return null;
-  } catch (error) {
-    console.error('Error extracting project root:', error.message);
-    return null;
+    current.content.push(line);
   }
+
+  return sections.map(({ wrapped, closed, prefix, ...section }) => {
+    const body = section.content.join('\n').replace(/^(?:[ \t]*\n)+/, '').trimEnd();
+    return { ...section, content: [body], raw: body };
+  });
+};
+
+/**
+ * Splits a formatted document from the raw turns pasted after it: the raw
+ * tail starts at the first user prompt (outside code blocks) that follows the
+ * last section marker and precedes an agent turn
+ * @param {string} content - Formatted content, possibly followed by raw turns
+ * @param {import('./profiles.js').Profile} [profile] - Speaker profile of the tail (auto-detected if omitted)
+ * @returns {{formatted: string, tail: string}} Formatted part and raw tail (empty if there is none)
+ */
+export const splitRawTail = (content, profile) => {
+  const lines = content.split('\n');
+  const fences = trackFences(lines);
+  let last = -1;
+  lines.forEach((line, index) => {
+    if (!fences[index].inCode && SECTION_MARKER_PATTERN.test(line)) {
+      last = index;
+    }
+  });
+
+  const candidate = lines.slice(last + 1);
+  const speakerProfile = last === -1 ? null : (profile || detectProfile(candidate.join('\n')));
+  const start = speakerProfile ? findUserPrompt(candidate, speakerProfile, { skipCodeBlocks: true }) : -1;
+  if (start === -1) return { formatted: content, tail: '' };
+
+  return {
+    formatted: `${lines.slice(0, last + 1 + start).join('\n').trimEnd()}\n`,
+    tail: candidate.slice(start).join('\n'),
+  };
+};
+
+/**
+ * Numbers sections by turn: a prompt opens a turn, and so does a response
+ * before any prompt of its session. Sections keeping a turn ID (re-parsed from
+ * a formatted document) keep it; new turns are numbered after the highest one.
+ * Session separators belong to no turn.
+ * @param {Array} sections - Merged sections
+ * @returns {Array} Sections with their `turn` number
+ */
+export const numberTurns = (sections) => {
+  let last = Math.max(0, ...sections.map(section => section.turn || 0));
+  let current = 0;
+
+  return sections.map(section => {
+    if (section.type === 'session') {
+      current = 0;
+      return section;
+    }
+    if (section.turn) {
+      current = section.turn;
+      return section;
+    }
+    if (section.type === 'user-prompt' || current === 0) {
+      current = ++last;
+    }
+    return { ...section, turn: current };
+  });
+};
+
+/**
+ * Summarizes a formatted document from its frontmatter and section markers
+ * @param {string} content - Formatted content
+ * @returns {{date: string|null, firstPrompt: string, userPrompts: number, agentResponses: number}} Summary
+ */
+export const summarizeFormatted = (content) => {
+  const frontmatter = parseFrontmatter(content);
+  const sections = parseFormatted(content);
+  const count = (type) => sections.filter(section => section.type === type).length;
+  const firstPrompt = sections.find(section => section.type === 'user-prompt');
+
+  return {
+    date: frontmatter.sessionStart || frontmatter.processedDate || null,
+    firstPrompt: firstPrompt?.raw.split('\n').map(line => line.trim()).find(Boolean) || '',
+    userPrompts: count('user-prompt'),
+    agentResponses: count('agent-response'),
+  };
 };
 
 /**
  * Detects the user identifier from content
  * @param {string} content - File content
+ * @param {import('./profiles.js').Profile} [profile] - Speaker profile (Copilot by default)
  * @returns {string|null} Detected user identifier or null
  */
-export const extractUserIdentifier = (content) => {
+export const extractUserIdentifier = (content, profile = BUILTIN_PROFILES.copilot) => {
   const lines = content.split('\n');
+  const index = findUserPrompt(lines, profile);
+  return index === -1 ? null : userLabelOf(lines[index].trim(), profile);
+};
+
+/**
+ * Returns the user label starting a line, if any
+ * @param {string} line - Trimmed line
+ * @param {import('./profiles.js').Profile} profile - Speaker profile
+ * @returns {string|null} User label or null
+ */
+const userLabelOf = (line, profile) => {
+  if (matchAnySpeaker(line, profile.agentLabels) !== null) return null;
+  if (profile.userLabels.length > 0) {
+    return profile.userLabels.find(label => matchSpeaker(line, label) !== null) || null;
+  }
+  const match = profile.userLabelPattern && line.match(profile.userLabelPattern);
+  return match ? match[1] : null;
+};
+
+/**
+ * Finds the first user prompt line followed (anywhere after) by an agent line
+ * @param {Array<string>} lines - Content lines
+ * @param {import('./profiles.js').Profile} profile - Speaker profile
+ * @param {object} [options] - Search options
+ * @param {boolean} [options.skipCodeBlocks=false] - Ignore lines inside fenced code blocks
+ * @returns {number} Line index, or -1 if none
+ */
+const findUserPrompt = (lines, profile, { skipCodeBlocks = false } = {}) => {
+  const isAgentLine = (l) => matchAnySpeaker(l.trim(), profile.agentLabels) !== null;
+  const fences = skipCodeBlocks ? trackFences(lines) : null;
 
   for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    const match = line.match(/^([a-zA-Z0-9_-]+):\s/);
-
-    if (match) {
-      const identifier = match[1];
-      // Check if there's a "GitHub Copilot:" line somewhere after
-      const hasAgentResponse = lines.slice(i + 1).some(l =>
-        l.trim().startsWith('GitHub Copilot:')
-      );
-      if (hasAgentResponse) {
-        return identifier;
-      }
+    if (fences?.[i].inCode) continue;
+
+    // Check if there's an agent line somewhere after
+    if (userLabelOf(lines[i].trim(), profile) && lines.slice(i + 1).some(isAgentLine)) {
+      return i;
     }
   }
 
-  return null;
+  return -1;
+};
+
+/**
+ * Detects the speaker profile matching the content: the one with the most
+ * agent turns among profiles whose user label can be found
+ * @param {string} content - File content
+ * @param {Array<import('./profiles.js').Profile>} [profiles] - Candidate profiles (built-in ones by default)
+ * @returns {import('./profiles.js').Profile|null} Best matching profile or null
+ */
+export const detectProfile = (content, profiles = Object.values(BUILTIN_PROFILES)) => {
+  const lines = content.split('\n').map(line => line.trim());
+  let best = null;
+  let bestCount = 0;
+
+  for (const profile of profiles) {
+    const count = lines.filter(line => matchAnySpeaker(line, profile.agentLabels) !== null).length;
+    if (count > bestCount && extractUserIdentifier(content, profile)) {
+      best = profile;
+      bestCount = count;
+    }
+  }
+
+  return best;
 };
 
 /**
  * Parses raw content into sections
  * @param {string} content - Raw content
  * @param {string} userIdentifier - User identifier to detect prompts
+ * @param {import('./profiles.js').Profile} [profile] - Speaker profile (Copilot by default)
  * @returns {Array<{type: string, content: Array<string>, raw: string}>}
  */
-export const parseContent = (content, userIdentifier) => {
+export const parseContent = (content, userIdentifier, profile = BUILTIN_PROFILES.copilot) => {
+  const { agentLabels, actionPatterns, noisePatterns, ignoreUserPrompts } = profile;
   const sections = [];
   const lines = content.split('\n');
   let currentSection = { type: 'unknown', content: [], raw: '' };
-  let inCodeBlock = false;
+  const trackFence = createFenceTracker();
   let inAction = false;
+  let inPayload = false;
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
 
     // Skip noise patterns (UI artifacts from long sessions)
-    if (NOISE_PATTERNS.some(pattern => pattern.test(line.trim()))) {
+    if (noisePatterns.some(pattern => pattern.test(line.trim()))) {
       continue;
     }
 
-    // Detect code blocks
-    if (line.startsWith('```')) {
-      inCodeBlock = !inCodeBlock;
-      currentSection.content.push(line);
-      continue;
-    }
-
-    if (inCodeBlock) {
+    // Code blocks are kept as-is, but the fenced payload following a string
+    // replacement action belongs to that action
+    const { inCode, fence } = trackFence(line);
+    inPayload = inPayload && inCode;
+    if (inCode) {
+      const actions = inAction ? currentSection.actions : [];
+      const lastAction = actions[actions.length - 1] || '';
+      if (inPayload || (fence === 'opening' && EDIT_ACTION_PATTERN.test(lastAction) && !lastAction.includes('\n'))) {
+        actions[actions.length - 1] += `\n${line}`;
+        inPayload = fence !== 'closing';
+        continue;
+      }
       currentSection.content.push(line);
       continue;
     }
 
     // Detect user prompt (dynamic user identifier)
-    if (line.startsWith(`${userIdentifier}:`)) {
-      const promptContent = line.replace(`${userIdentifier}:`, '').trim();
-
+    const promptContent = matchSpeaker(line, userIdentifier);
+    if (promptContent !== null) {
       // Skip continuation prompts (UI artifacts)
-      if (IGNORE_USER_PROMPTS.some(pattern => pattern.test(promptContent))) {
+      if (ignoreUserPrompts.some(pattern => pattern.test(promptContent))) {
         continue;
       }
 
@@ -133,7 +364,7 @@ export const parseContent = (content, userIdentifier) => {
       }
       currentSection = {
         type: 'user-prompt',
-        content: [promptContent],
+        content: promptContent ? [promptContent] : [],
         raw: '',
       };
       inAction = false;
@@ -141,14 +372,15 @@ export const parseContent = (content, userIdentifier) => {
     }
 
     // Detect agent response
-    if (line.startsWith('GitHub Copilot:')) {
+    const responseContent = matchAnySpeaker(line, agentLabels);
+    if (responseContent !== null) {
       if (currentSection.content.length > 0) {
         currentSection.raw = currentSection.content.join('\n');
         sections.push({ ...currentSection });
       }
       currentSection = {
         type: 'agent-response',
-        content: [line.replace('GitHub Copilot:', '').trim()],
+        content: responseContent ? [responseContent] : [],
         raw: '',
       };
       inAction = false;
@@ -156,7 +388,7 @@ export const parseContent = (content, userIdentifier) => {
     }
 
     // Detect technical actions
-    const isAction = ACTION_PATTERNS.some(pattern => pattern.test(line));
+    const isAction = actionPatterns.some(pattern => pattern.test(line));
 
     if (isAction && !inAction) {
       // Start of action sequence
@@ -200,7 +432,10 @@ export const parseContent = (content, userIdentifier) => {
     currentSection.content.push(line);
   }
 
-  // Add last section
+  // Add last section (an action sequence keeps its lines in `actions` until flushed)
+  if (inAction && currentSection.actions?.length > 0) {
+    currentSection.content = currentSection.actions;
+  }
   if (currentSection.content.length > 0) {
     currentSection.raw = currentSection.content.join('\n');
     sections.push({ ...currentSection });
@@ -0,0 +1,275 @@
+/**
+ * @file paths.js
+ * @description File URL parsing, project root detection and path simplification
+ */
+
+import { existsSync } from 'fs';
+import { join } from 'path';
+
+// File URLs referenced in a session (links, actions, context references)
+const FILE_URL_PATTERN = /file:\/\/\/?([^)#\s"'`\]>]+)/g;
+
+// Files named by the payload of string replacement edits (JSON tool input)
+const EDIT_PATH_PATTERN = /"filePath":\s*("(?:[^"\\\n]|\\.)+")/g;
+
+// `#file:` context references (trailing punctuation and line range are not part of the path)
+const FILE_REFERENCE_PATTERN = /#file:([^\s`]+?)(?::\d+(?:-\d+)?)?[.,;:!?)]*(?=[\s`]|$)/g;
+
+// Top-level directories holding user homes (never a project root on their own)
+const HOME_DIRECTORIES = ['home', 'Users'];
+
+// Files marking the root of a project on disk
+const PROJECT_MARKERS = ['.git', 'package.json'];
+
+/**
+ * Safely decodes a URI component
+ * @param {string} uri - URI to decode
+ * @returns {string} Decoded URI or original if decoding fails
+ */
+const safeDecodeURI = (uri) => {
+  try {
+    return decodeURIComponent(uri);
+  } catch {
+    return uri;
+  }
+};
+
+/**
+ * Normalizes a path: forward slashes, upper-case drive letter, no trailing slash
+ * @param {string} path - POSIX or Windows path
+ * @returns {string} Normalized path ("/home/me/app", "C:/Users/me/app")
+ */
+export const normalizePath = (path) => {
+  let normalized = path.replace(/\\/g, '/');
+
+  const drive = normalized.match(/^\/?([A-Za-z]):(?=\/|$)/);
+  if (drive) {
+    normalized = `${drive[1].toUpperCase()}:${normalized.slice(drive[0].length)}`;
+  } else if (!normalized.startsWith('/')) {
+    normalized = '/' + normalized;
+  }
+
+  return normalized.length > 1 ? normalized.replace(/\/+$/, '') || '/' : normalized;
+};
+
+/**
+ * Converts a file URL (or its part after "file:///") to a normalized path
+ * @param {string} fileUrl - File URL ("file:///c%3A/Users/me/app.js")
+ * @returns {string} Normalized path ("C:/Users/me/app.js")
+ */
+export const fileUrlToPath = (fileUrl) => {
+  const path = fileUrl.replace(/^file:\/\/\/?/, '');
+  return normalizePath(safeDecodeURI(path));
+};
+
+/**
+ * Splits a normalized path into segments (the drive letter is the first one)
+ * @param {string} path - Normalized path
+ * @returns {Array<string>} Segments ("/" gives [""])
+ */
+const segmentsOf = (path) => (path === '/' ? [''] : path.replace(/\/$/, '').split('/'));
+
+/**
+ * Joins path segments back into a normalized path
+ * @param {Array<string>} segments - Segments
+ * @returns {string} Path
+ */
+const joinSegments = (segments) => {
+  const path = segments.join('/');
+  if (path === '') return '/';
+  return /^[A-Z]:$/.test(path) ? `${path}/` : path;
+};
+
+/**
+ * Returns the directory of a normalized path
+ * @param {string} path - Normalized path
+ * @returns {string} Parent directory
+ */
+const parentOf = (path) => joinSegments(segmentsOf(path).slice(0, -1));
+
+/**
+ * Checks whether a directory only holds projects: a file system or drive
+ * root, /root, or a home directory (/home/me, /Users/me, C:/Users/me) and above
+ * @param {string} dir - Normalized directory
+ * @returns {boolean}
+ */
+const isContainerDirectory = (dir) => {
+  const segments = segmentsOf(dir).filter(segment => segment && !/^[A-Z]:$/.test(segment));
+  return segments.length === 0 ||
+    (segments.length === 1 && segments[0] === 'root') ||
+    (HOME_DIRECTORIES.includes(segments[0]) && segments.length <= 2);
+};
+
+/**
+ * Computes the longest common directory of several directories
+ * @param {Array<string>} dirs - Normalized directories
+ * @returns {string} Common directory
+ */
+const commonPrefix = (dirs) => {
+  const common = dirs.map(segmentsOf).reduce((prefix, segments) => {
+    let length = 0;
+    while (length < prefix.length && prefix[length] === segments[length]) length++;
+    return prefix.slice(0, length);
+  });
+  return joinSegments(common);
+};
+
+/**
+ * Groups directories into project roots: their common prefix, unless it is
+ * a container directory (home, drive root), in which case each child
+ * directory holds its own root (multi-root workspaces)
+ * @param {Array<string>} dirs - Normalized directories
+ * @returns {Array<string>} Project roots
+ */
+const groupRoots = (dirs) => {
+  const prefix = commonPrefix(dirs);
+  if (!isContainerDirectory(prefix)) return [prefix];
+
+  const depth = segmentsOf(prefix).length;
+  const groups = new Map();
+  for (const dir of dirs) {
+    const segments = segmentsOf(dir);
+    // Files directly in a container directory belong to no project
+    if (segments.length <= depth) continue;
+    const child = joinSegments(segments.slice(0, depth + 1));
+    groups.set(child, [...(groups.get(child) || []), dir]);
+  }
+
+  return [...groups.values()].flatMap(groupRoots);
+};
+
+/**
+ * Finds the nearest directory, itself or above, containing a project marker
+ * (.git, package.json) on this machine
+ * @param {string} dir - Normalized directory
+ * @returns {string|null} Project directory, or null if none is found below a container directory
+ */
+export const findProjectDirectory = (dir) => {
+  if (!existsSync(dir)) return null;
+
+  for (let current = dir; !isContainerDirectory(current); current = parentOf(current)) {
+    if (PROJECT_MARKERS.some(marker => existsSync(join(current, marker)))) {
+      return current;
+    }
+  }
+  return null;
+};
+
+/**
+ * Snaps a root to the nearest directory, itself or above, containing a
+ * project marker (.git, package.json), when it exists on this machine
+ * @param {string} root - Detected root
+ * @returns {string} Snapped root (unchanged if no marker is found)
+ */
+const snapToProjectMarker = (root) => findProjectDirectory(root) || root;
+
+/**
+ * Reads the absolute paths named by edit payloads (`"filePath": "..."`)
+ * @param {string} content - Session content
+ * @returns {Array<{index: number, path: string}>} Normalized paths and their position
+ */
+const editedPaths = (content) => {
+  return [...content.matchAll(EDIT_PATH_PATTERN)]
+    .map(match => {
+      try {
+        return { index: match.index, path: JSON.parse(match[1]) };
+      } catch {
+        return { index: match.index, path: '' };
+      }
+    })
+    .filter(({ path }) => /^(?:\/|[A-Za-z]:[\\/])/.test(path))
+    .map(({ index, path }) => ({ index, path: normalizePath(path) }));
+};
+
+/**
+ * Anchors project roots with workspace-relative `#file:` references: a
+ * referenced absolute path ending with such a reference (directories
+ * included) lies in the root before it: "src/app.js" and
+ * /home/me/app/src/app.js give /home/me/app
+ * @param {string} content - Session content
+ * @param {Array<string>} paths - Normalized absolute paths referenced by the session
+ * @returns {Array<string>} Anchored roots
+ */
+const anchoredRoots = (content, paths) => {
+  const references = [...content.matchAll(FILE_REFERENCE_PATTERN)]
+    .map(match => safeDecodeURI(match[1]).replace(/\\/g, '/').replace(/^\.\//, ''))
+    // File names alone may come from any directory of the project
+    .filter(reference => reference.includes('/') && !/^(?:\/|[A-Za-z]:\/|file:)/.test(reference));
+
+  const roots = references.flatMap(reference => paths
+    .filter(path => path.endsWith(`/${reference}`))
+    .map(path => joinSegments(segmentsOf(path).slice(0, -segmentsOf(reference).length))));
+  return [...new Set(roots)].filter(root => !isContainerDirectory(root));
+};
+
+/**
+ * Detects the project roots of a session from the longest common prefix of
+ * all the file URLs (and edited file paths) it references. Paths spread
+ * across several projects (multi-root workspaces) give several roots, in
+ * order of first reference. Workspace-relative `#file:` references anchor
+ * the roots of the paths they name.
+ * @param {string} content - Session content
+ * @param {object} [options] - Detection options
+ * @param {boolean} [options.snap=false] - Snap roots to local directories holding .git or package.json
+ * @returns {Array<string>} Normalized project roots (empty if no file is referenced)
+ */
+export const detectProjectRoots = (content, { snap = false } = {}) => {
+  const paths = [
+    ...[...content.matchAll(FILE_URL_PATTERN)].map(match => ({ index: match.index, path: fileUrlToPath(match[1]) })),
+    ...editedPaths(content),
+  ]
+    .sort((a, b) => a.index - b.index)
+    .map(({ path }) => path);
+  if (paths.length === 0) return [];
+
+  const anchors = anchoredRoots(content, paths);
+  const dirs = paths.filter(path => !findRoot(path, anchors)).map(parentOf);
+  const guessed = dirs.length > 0 ? groupRoots([...new Set(dirs)]) : [];
+
+  // Roots in order of their first referenced path
+  const firstReference = (root) => paths.findIndex(path => findRoot(path, [root]));
+  const roots = [...new Set([...anchors, ...guessed])]
+    .sort((a, b) => firstReference(a) - firstReference(b));
+  return [...new Set(snap ? roots.map(snapToProjectMarker) : roots)];
+};
+
+/**
+ * Finds the project root containing a path (the deepest one if roots are nested)
+ * @param {string} path - Normalized path
+ * @param {Array<string>} roots - Project roots
+ * @returns {string|null} Matching root or null
+ */
+export const findRoot = (path, roots) => {
+  return roots
+    .filter(root => path === root || path.startsWith(root.endsWith('/') ? root : `${root}/`))
+    .sort((a, b) => b.length - a.length)[0] || null;
+};
+
+/**
+ * Finds the absolute path of a session a path relative to a project root
+ * names: the one simplified to it or, for context references (relative to
+ * any directory of the workspace), the one ending with it
+ * @param {string} path - Normalized relative path ("/src/app.js", "/app.js")
+ * @param {Array<string>} knownPaths - Absolute paths named in the session
+ * @param {Array<string>} roots - Project roots
+ * @param {object} [options] - Matching options
+ * @param {boolean} [options.suffix=false] - Also match the paths ending with it
+ * @returns {string|null} Known path, or null if none matches
+ */
+export const findKnownPath = (path, knownPaths, roots, { suffix = false } = {}) => {
+  return knownPaths.find(known => simplifyPath(known, roots) === path) ||
+    (suffix && knownPaths.find(known => known.endsWith(path))) || null;
+};
+
+/**
+ * Simplifies a path relative to the project root containing it
+ * @param {string} path - Normalized path
+ * @param {Array<string>} roots - Project roots
+ * @returns {string} Path from its root ("/src/app.js"), or the path itself outside any root
+ */
+export const simplifyPath = (path, roots) => {
+  const root = findRoot(path, roots);
+  if (!root) return path;
+  const simplified = path.slice(root.length);
+  return simplified.startsWith('/') ? simplified : `/${simplified}`;
+};
@@ -0,0 +1,204 @@
+/**
+ * @file profiles.js
+ * @description Speaker profiles: how each chat tool labels speakers, actions and noise
+ */
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { ConfigurationError } from './errors.js';
+import { ACTION_PATTERNS, NOISE_PATTERNS, IGNORE_USER_PROMPTS } from './constants.js';
+
+/**
+ * Speaker profile
+ * @typedef {Object} Profile
+ * @property {string} name - Profile name
+ * @property {Array<string>} agentLabels - Labels introducing an agent turn (e.g. "GitHub Copilot")
+ * @property {Array<string>} userLabels - Fixed labels introducing a user turn (e.g. "User")
+ * @property {RegExp|null} userLabelPattern - Pattern capturing a dynamic user label
+ *   (used when userLabels is empty, e.g. the Copilot username)
+ * @property {Array<RegExp>} actionPatterns - Technical actions to condense
+ * @property {Array<RegExp>} noisePatterns - UI artifacts to drop
+ * @property {Array<RegExp>} ignoreUserPrompts - User prompts to drop (continuations)
+ */
+
+/** @type {Object<string, Profile>} */
+export const BUILTIN_PROFILES = {
+  copilot: {
+    name: 'copilot',
+    agentLabels: ['GitHub Copilot'],
+    userLabels: [],
+    userLabelPattern: /^([a-zA-Z0-9_-]+):\s/,
+    actionPatterns: ACTION_PATTERNS,
+    noisePatterns: NOISE_PATTERNS,
+    ignoreUserPrompts: IGNORE_USER_PROMPTS,
+  },
+  cursor: {
+    name: 'cursor',
+    agentLabels: ['Cursor'],
+    userLabels: ['User'],
+    userLabelPattern: null,
+    actionPatterns: [
+      /^Read file: /,
+      /^Listed (?:directory|items in)/,
+      /^Searched (?:codebase|files|web)/,
+      /^Grep search/,
+      /^Edit file: /,
+    ],
+    noisePatterns: [/^---$/],
+    ignoreUserPrompts: [/^continue$/i],
+  },
+  claude: {
+    name: 'claude',
+    agentLabels: ['Claude', 'Assistant'],
+    userLabels: ['Human', 'User', 'You'],
+    userLabelPattern: null,
+    actionPatterns: [
+      /^⏺\s*(?:Read|Write|Edit|Update|Bash|Search|Grep|Glob|Task)\(/,
+      /^⎿/,
+    ],
+    noisePatterns: [],
+    ignoreUserPrompts: [/^continue$/i],
+  },
+  continue: {
+    name: 'continue',
+    agentLabels: ['Continue', 'Assistant'],
+    userLabels: ['User'],
+    userLabelPattern: null,
+    actionPatterns: [/^Continue (?:read|viewed|searched|edited) /],
+    noisePatterns: [],
+    ignoreUserPrompts: [],
+  },
+};
+
+/**
+ * Escapes a string for literal use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Matches a speaker label at the start of a line.
+ * Accepts "Label: text", "**Label:** text", "**Label**: text",
+ * and a label alone on its line ("**Label**", "_**Label**_", "## Label").
+ * @param {string} line - Line to test
+ * @param {string} label - Speaker label
+ * @returns {string|null} Remaining content of the line, or null if no match
+ */
+export const matchSpeaker = (line, label) => {
+  const escaped = escapeRegExp(label);
+  const pattern = new RegExp(
+    `^(?:(?:\\*\\*)?${escaped}(?:\\*\\*)?:(?:\\*\\*)?(?:\\s+|$)` +
+    `|(?:#{1,6}\\s+)?(?:_?\\*\\*)?${escaped}(?:\\*\\*_?)?\\s*$)`
+  );
+  const match = line.match(pattern);
+  return match ? line.slice(match[0].length).trim() : null;
+};
+
+/**
+ * Matches any of the given speaker labels at the start of a line
+ * @param {string} line - Line to test
+ * @param {Array<string>} labels - Speaker labels
+ * @returns {string|null} Remaining content of the line, or null if no match
+ */
+export const matchAnySpeaker = (line, labels) => {
+  for (const label of labels) {
+    const rest = matchSpeaker(line, label);
+    if (rest !== null) return rest;
+  }
+  return null;
+};
+
+/**
+ * Compiles a list of pattern strings into regular expressions
+ * @param {Array<string|RegExp>} patterns - Patterns to compile
+ * @param {string} field - Field name for error messages
+ * @returns {Array<RegExp>} Compiled patterns
+ * @throws {ConfigurationError} If a pattern is not a valid regular expression
+ */
+export const compilePatterns = (patterns = [], field) => {
+  if (!Array.isArray(patterns)) {
+    throw new ConfigurationError(`"${field}" must be an array of patterns`);
+  }
+  return patterns.map(pattern => {
+    if (pattern instanceof RegExp) return pattern;
+    try {
+      return new RegExp(pattern);
+    } catch (error) {
+      throw new ConfigurationError(`Invalid pattern in "${field}": ${pattern} (${error.message})`);
+    }
+  });
+};
+
+/**
+ * Builds a profile from a user definition (patterns given as strings).
+ * A definition may extend a built-in profile: labels are overridden,
+ * pattern lists are appended to the base ones.
+ * @param {object} definition - Profile definition
+ * @returns {Profile} Compiled profile
+ * @throws {ConfigurationError} If the definition is invalid
+ */
+export const createProfile = (definition) => {
+  const base = definition.extends ? BUILTIN_PROFILES[definition.extends] : null;
+  if (definition.extends && !base) {
+    throw new ConfigurationError(`Unknown base profile: ${definition.extends}`);
+  }
+
+  const userLabelPattern = definition.userLabelPattern
+    ? compilePatterns([definition.userLabelPattern], 'userLabelPattern')[0]
+    : (base?.userLabelPattern || null);
+
+  const profile = {
+    name: definition.name || base?.name || 'custom',
+    agentLabels: definition.agentLabels || base?.agentLabels || [],
+    userLabels: definition.userLabels || (definition.userLabelPattern ? [] : base?.userLabels || []),
+    userLabelPattern,
+    actionPatterns: [
+      ...(base?.actionPatterns || []),
+      ...compilePatterns(definition.actionPatterns, 'actionPatterns'),
+    ],
+    noisePatterns: [
+      ...(base?.noisePatterns || []),
+      ...compilePatterns(definition.noisePatterns, 'noisePatterns'),
+    ],
+    ignoreUserPrompts: [
+      ...(base?.ignoreUserPrompts || []),
+      ...compilePatterns(definition.ignoreUserPrompts, 'ignoreUserPrompts'),
+    ],
+  };
+
+  if (profile.agentLabels.length === 0) {
+    throw new ConfigurationError(`Profile "${profile.name}" must declare at least one agent label`);
+  }
+  if (profile.userLabels.length === 0 && !profile.userLabelPattern) {
+    throw new ConfigurationError(`Profile "${profile.name}" must declare userLabels or a userLabelPattern`);
+  }
+
+  return profile;
+};
+
+/**
+ * Resolves a profile from a built-in name or a JSON definition file
+ * @param {string} nameOrPath - Built-in profile name or path to a JSON file
+ * @returns {Profile} Resolved profile
+ * @throws {ConfigurationError} If the profile cannot be found or is invalid
+ */
+export const resolveProfile = (nameOrPath) => {
+  if (BUILTIN_PROFILES[nameOrPath]) {
+    return BUILTIN_PROFILES[nameOrPath];
+  }
+
+  if (!nameOrPath.endsWith('.json')) {
+    throw new ConfigurationError(
+      `Unknown profile: ${nameOrPath} (available: ${Object.keys(BUILTIN_PROFILES).join(', ')})`
+    );
+  }
+
+  let definition;
+  try {
+    definition = JSON.parse(readFileSync(resolve(nameOrPath), 'utf-8'));
+  } catch (error) {
+    throw new ConfigurationError(`Failed to load profile ${nameOrPath}: ${error.message}`);
+  }
+  return createProfile(definition);
+};
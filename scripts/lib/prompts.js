@@ -0,0 +1,237 @@
+/**
+ * @file prompts.js
+ * @description Prompt catalog: the user prompts of sessions, with their
+ * source, turn and context references, near-identical prompts merged
+ */
+
+import { TEXTS } from './constants.js';
+import { analyzeSession } from './format.js';
+import { unformatSections } from './unformat.js';
+import { compileRedactionRules, redactValues } from './redaction.js';
+import { formatContextReferences, parseContextReferences, promptExcerpt } from './formatters.js';
+import {
+  compose,
+  shiftHeadingLevels,
+  forceLineBreaks,
+  ensureMarkdownSpacing,
+  removeTrailingSpaces,
+  cleanExcessiveLineBreaks,
+} from './transformers.js';
+import { diffLines } from './diff.js';
+import { ConfigurationError } from './errors.js';
+
+// Catalog formats, with their file extension
+export const PROMPT_CATALOG_FORMATS = {
+  jsonl: '.jsonl',
+  markdown: '.md',
+};
+
+// Share of words two prompts must have in common (in order) to be near-identical
+const PROMPT_SIMILARITY_THRESHOLD = 0.9;
+
+/**
+ * Prompt of the catalog
+ * @typedef {Object} CatalogPrompt
+ * @property {string} source - Session file
+ * @property {number} turn - Turn number in the session
+ * @property {string} text - Prompt text (raw, context references untouched)
+ * @property {{files: Array<string>, folders: Array<string>, symbols: Array<string>, selection: boolean}} context -
+ *   Context references, each listed once
+ * @property {string|null} timestamp - Request date (JSON exports)
+ * @property {string|null} model - Model used (JSON exports)
+ * @property {Array<{source: string, turn: number}>} duplicates - Near-identical prompts merged into this one
+ */
+
+/**
+ * Validates a catalog format
+ * @param {string} [format='jsonl'] - Catalog format (`md` is accepted for `markdown`)
+ * @returns {string} Normalized format
+ * @throws {ConfigurationError} If the format is unknown
+ */
+export const normalizeCatalogFormat = (format = 'jsonl') => {
+  const normalized = format === 'md' ? 'markdown' : format;
+  if (!PROMPT_CATALOG_FORMATS[normalized]) {
+    throw new ConfigurationError(
+      `Unknown prompt catalog format: ${format} (available: ${Object.keys(PROMPT_CATALOG_FORMATS).join(', ')})`
+    );
+  }
+  return normalized;
+};
+
+/**
+ * Groups context references by type, each listed once
+ * @param {string} text - Prompt text
+ * @returns {CatalogPrompt['context']} Context references
+ */
+const promptContext = (text) => {
+  const references = parseContextReferences(text);
+  const targets = (type) => [...new Set(references.filter(ref => ref.type === type).map(ref => ref.target))];
+  return {
+    files: targets('file'),
+    folders: targets('folder'),
+    symbols: targets('symbol'),
+    selection: references.some(ref => ref.type === 'selection'),
+  };
+};
+
+/**
+ * Extracts the user prompts of a session, in order (formatted documents are
+ * re-parsed, their context references restored)
+ * @param {string} content - Session content (transcript, VS Code JSON export or formatted document)
+ * @param {object} [options] - Analysis options (see `analyzeSession()`)
+ * @param {string} [options.inputFile='stdin'] - Session file name, the `source` of each prompt
+ * @param {boolean} [options.redact=false] - Redact secrets and personal data (the user identifier
+ *   included) from the prompts
+ * @param {Array<object>} [options.redactionRules=[]] - Additional redaction rules ({ name, pattern, replacement })
+ * @returns {Array<CatalogPrompt>} Prompts (empty ones skipped)
+ * @throws {import('./errors.js').UserIdentifierNotFoundError} If no user prompt can be detected
+ * @throws {ConfigurationError} If a redaction rule is invalid
+ */
+export const extractPrompts = (content, {
+  inputFile = 'stdin',
+  redact: shouldRedact = false,
+  redactionRules = [],
+  ...options
+} = {}) => {
+  const rules = compileRedactionRules(redactionRules);
+  const { sections, userIdentifier } = analyzeSession(content, options);
+
+  const prompts = unformatSections(sections)
+    .filter(section => section.type === 'user-prompt')
+    .map(section => ({ section, text: [].concat(section.content || []).join('\n').trim() }))
+    .filter(({ text }) => text !== '')
+    .map(({ section, text }) => ({
+      source: inputFile,
+      turn: section.turn,
+      text,
+      context: promptContext(text),
+      timestamp: section.meta?.timestamp || null,
+      model: section.meta?.model || null,
+      duplicates: [],
+    }));
+  return shouldRedact ? redactValues(prompts, { userIdentifier, rules }).value : prompts;
+};
+
+/**
+ * Splits a prompt into comparable words (case, punctuation and spacing ignored)
+ * @param {string} text - Prompt text
+ * @returns {Array<string>} Words
+ */
+const promptWords = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Counts the occurrences of each word
+ * @param {Array<string>} words - Words
+ * @returns {Map<string, number>} Count of each word
+ */
+const countWords = (words) => {
+  const counts = new Map();
+  words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  return counts;
+};
+
+/**
+ * Measures how similar two prompts are: twice the words they share in order,
+ * over their total word count. The words they share in any order bound it,
+ * so that most pairs are told apart without a diff.
+ * @param {{words: Array<string>, counts: Map<string, number>}} a - Words of a prompt
+ * @param {{words: Array<string>, counts: Map<string, number>}} b - Words of another prompt
+ * @param {number} threshold - Similarity below which the exact value does not matter
+ * @returns {number} Similarity, from 0 to 1 (below the threshold when it is not computed)
+ */
+const similarity = (a, b, threshold) => {
+  const total = a.words.length + b.words.length;
+  if (total === 0) return 1;
+
+  let shared = 0;
+  a.counts.forEach((count, word) => {
+    shared += Math.min(count, b.counts.get(word) || 0);
+  });
+  if ((2 * shared) / total < threshold) return 0;
+
+  const kept = diffLines(a.words, b.words).filter(({ type }) => type === ' ').length;
+  return (2 * kept) / total;
+};
+
+/**
+ * Merges near-identical prompts into the first one, which lists the others in
+ * its `duplicates`
+ * @param {Array<CatalogPrompt>} prompts - Prompts, in order
+ * @param {object} [options] - De-duplication options
+ * @param {number} [options.threshold=0.9] - Similarity from which two prompts are near-identical
+ *   (1 keeps only prompts identical but for case, punctuation and spacing)
+ * @returns {Array<CatalogPrompt>} Unique prompts, in order
+ */
+export const dedupePrompts = (prompts, { threshold = PROMPT_SIMILARITY_THRESHOLD } = {}) => {
+  const kept = [];
+
+  for (const prompt of prompts) {
+    const words = promptWords(prompt.text);
+    const entry = { words, counts: countWords(words) };
+    const original = kept.find(candidate => similarity(candidate, entry, threshold) >= threshold);
+
+    if (original) {
+      original.prompt.duplicates.push({ source: prompt.source, turn: prompt.turn }, ...prompt.duplicates);
+    } else {
+      kept.push({ ...entry, prompt: { ...prompt, duplicates: [...prompt.duplicates] } });
+    }
+  }
+
+  return kept.map(({ prompt }) => prompt);
+};
+
+/**
+ * Formats the location of a prompt
+ * @param {{source: string, turn: number}} location - Session file and turn
+ * @returns {string} Location ("session.md, turn 3")
+ */
+const formatLocation = ({ source, turn }) => `${source}, ${TEXTS.FILES_TURN} ${turn}`;
+
+/**
+ * Renders a prompt as a Markdown catalog entry: excerpt heading, prompt,
+ * then its source, duplicates and context references
+ * @param {CatalogPrompt} prompt - Prompt
+ * @param {number} index - Entry number (from 1)
+ * @returns {string} Markdown
+ */
+const renderPromptEntry = (prompt, index) => {
+  const excerpt = promptExcerpt(prompt.text);
+  const references = [...new Set(parseContextReferences(prompt.text).map(ref => ref.text))];
+  const details = [
+    `- ${TEXTS.PROMPTS_SOURCE} ${formatLocation(prompt)}`,
+    ...(prompt.duplicates.length > 0
+      ? [`- ${TEXTS.PROMPTS_ALSO_IN} ${prompt.duplicates.map(formatLocation).join('; ')}`]
+      : []),
+    ...(references.length > 0
+      ? [`- ${TEXTS.PROMPTS_CONTEXT} ${references.map(reference => formatContextReferences(reference)).join(', ')}`]
+      : []),
+  ];
+
+  return `## ${index}${excerpt ? ` · ${excerpt}` : ''}
+
+${compose(formatContextReferences, shiftHeadingLevels, forceLineBreaks)(prompt.text)}
+
+${details.join('\n')}
+`;
+};
+
+/**
+ * Renders prompts as a catalog: one JSON object per line, or a Markdown
+ * document with one section per prompt
+ * @param {Array<CatalogPrompt>} prompts - Prompts
+ * @param {string} [format='jsonl'] - Catalog format (see PROMPT_CATALOG_FORMATS)
+ * @returns {string} Catalog
+ * @throws {ConfigurationError} If the format is unknown
+ */
+export const renderPromptCatalog = (prompts, format = 'jsonl') => {
+  if (normalizeCatalogFormat(format) === 'jsonl') {
+    return prompts.map(prompt => `${JSON.stringify(prompt)}\n`).join('');
+  }
+
+  const entries = prompts.map((prompt, index) => renderPromptEntry(prompt, index + 1));
+  return compose(
+    ensureMarkdownSpacing,
+    removeTrailingSpaces,
+    cleanExcessiveLineBreaks
+  )(`${TEXTS.PROMPTS_TITLE}\n\n${entries.join('\n')}`);
+};
@@ -0,0 +1,294 @@
+/**
+ * @file redaction.js
+ * @description Secret and PII redaction applied to the rendered output
+ */
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { ConfigurationError } from './errors.js';
+
+/**
+ * Redaction detector
+ * @typedef {Object} Detector
+ * @property {string} name - Detector name (used in reports and placeholders)
+ * @property {RegExp} pattern - Global pattern matching the value to redact
+ * @property {string|Function} [replacement] - Replacement (defaults to "[REDACTED:<name>]")
+ * @property {Function} [accept] - Extra check on each match; the match is kept when it returns false
+ */
+
+/**
+ * Computes the Shannon entropy of a string in bits per character
+ * @param {string} text - Text to measure
+ * @returns {number} Entropy
+ */
+const shannonEntropy = (text) => {
+  const counts = {};
+  for (const char of text) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / text.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+};
+
+/**
+ * Tells whether a token looks like a random secret (mixed letters and digits, high entropy)
+ * @param {string} token - Candidate token
+ * @returns {boolean}
+ */
+const isHighEntropy = (token) => {
+  return /[a-zA-Z]/.test(token) &&
+         /\d/.test(token) &&
+         !/^[0-9a-f]+$/i.test(token) &&
+         shannonEntropy(token) >= 4.2;
+};
+
+/** @type {Array<Detector>} Built-in detectors, applied in order */
+export const BUILTIN_DETECTORS = [
+  {
+    name: 'private-key',
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  },
+  { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/g },
+  { name: 'api-key', pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g },
+  { name: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { name: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { name: 'npm-token', pattern: /\bnpm_[A-Za-z0-9]{36}\b/g },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  {
+    name: 'bearer-token',
+    pattern: /\b(Bearer\s+)[A-Za-z0-9._~+/-]{16,}=*/g,
+    replacement: (match, prefix) => `${prefix}[REDACTED:bearer-token]`,
+  },
+  {
+    name: 'secret-assignment',
+    pattern: /\b([\w-]*?(?:api[_-]?key|token|secret|password|passwd|pwd)\s*[:=]\s*["']?)([^\s"'`,;]{6,})/gi,
+    replacement: (match, prefix) => `${prefix}[REDACTED:secret-assignment]`,
+    accept: (match, prefix, value) => !value.startsWith('[REDACTED'),
+  },
+  { name: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  {
+    name: 'home-path',
+    pattern: /(?<![\w.~-])(?:\/home|\/Users)\/[^/\s)\]"'`]+|\b[A-Za-z](?::|%3A)(?:\\\\?|\/|%5C)Users(?:\\\\?|\/|%5C)[^\\/\s)\]"'`%]+/gi,
+    replacement: '~',
+  },
+  {
+    name: 'high-entropy',
+    pattern: /(?<![A-Za-z0-9+/_=-])[A-Za-z0-9+/_=-]{32,}(?![A-Za-z0-9+/_=-])/g,
+    accept: (match) => isHighEntropy(match),
+  },
+];
+
+// HTML tokens: style and script elements (never redacted), tags, and text between them
+const HTML_TOKEN_PATTERN = /<(style|script)\b[\s\S]*?<\/\1>|<[^>]*>|[^<]+|</gi;
+
+// Attribute values of an HTML tag, class and id excepted (they hold markup, not content)
+const HTML_ATTRIBUTE_PATTERN = /(\s(?!class=|id=)[\w-]+=")([^"]*)(")/g;
+
+// Keys of the session model and dataset records whose values are markup, not content
+// (see SESSION_SCHEMA; `role` is the speaker of a dataset message)
+const JSON_STRUCTURAL_KEYS = ['schema', 'type', 'profile', 'role'];
+
+/**
+ * Escapes a string for literal use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds the detector replacing the user identifier as a whole word
+ * @param {string} userIdentifier - Detected user identifier
+ * @returns {Detector} Detector
+ */
+const userIdentifierDetector = (userIdentifier) => ({
+  name: 'user-identifier',
+  pattern: new RegExp(`(?<![\\w-])${escapeRegExp(userIdentifier)}(?![\\w-])`, 'g'),
+  replacement: '[user]',
+});
+
+/**
+ * Compiles user-supplied redaction rules (patterns as strings or RegExp)
+ * @param {Array<{name?: string, pattern: string|RegExp, flags?: string, replacement?: string}>} rules - Rules
+ * @returns {Array<Detector>} Detectors
+ * @throws {ConfigurationError} If a rule is malformed or its pattern is invalid
+ */
+export const compileRedactionRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    throw new ConfigurationError('Redaction rules must be an array of { name, pattern, replacement }');
+  }
+
+  return rules.map((rule, index) => {
+    const name = rule.name || `rule-${index + 1}`;
+    if (rule.pattern instanceof RegExp) {
+      const flags = rule.pattern.flags.includes('g') ? rule.pattern.flags : `${rule.pattern.flags}g`;
+      return { ...rule, name, pattern: new RegExp(rule.pattern.source, flags) };
+    }
+    if (typeof rule.pattern !== 'string') {
+      throw new ConfigurationError(`Redaction rule "${name}" has no pattern`);
+    }
+    const flags = rule.flags ? [...new Set(`${rule.flags}g`)].join('') : 'g';
+    try {
+      return { name, pattern: new RegExp(rule.pattern, flags), replacement: rule.replacement };
+    } catch (error) {
+      throw new ConfigurationError(`Invalid pattern in redaction rule "${name}": ${error.message}`);
+    }
+  });
+};
+
+/**
+ * Loads user-supplied redaction rules from a JSON file
+ * @param {string} filePath - Path to the JSON rules file
+ * @returns {Array<Detector>} Detectors
+ * @throws {ConfigurationError} If the file cannot be read or is invalid
+ */
+export const loadRedactionRules = (filePath) => {
+  let rules;
+  try {
+    rules = JSON.parse(readFileSync(resolve(filePath), 'utf-8'));
+  } catch (error) {
+    throw new ConfigurationError(`Failed to load redaction rules ${filePath}: ${error.message}`);
+  }
+  return compileRedactionRules(rules);
+};
+
+/**
+ * Masks a redacted value for the report (keeps only its first characters)
+ * @param {string} value - Redacted value
+ * @returns {string} Masked preview
+ */
+const maskValue = (value) => {
+  const firstLine = value.split('\n')[0];
+  return firstLine.length <= 4 ? '****' : `${firstLine.slice(0, 4)}…`;
+};
+
+/**
+ * Redacts secrets and personal data from text
+ * @param {string} text - Text to redact
+ * @param {object} [options] - Redaction options
+ * @param {string|null} [options.userIdentifier] - User identifier to hide
+ * @param {Array<Detector>} [options.rules=[]] - User-supplied detectors (applied first)
+ * @param {Array<Detector>} [options.detectors=BUILTIN_DETECTORS] - Built-in detectors
+ * @returns {{text: string, report: Array<{detector: string, count: number, samples: Array<string>}>}}
+ *   Redacted text and replacements per detector
+ */
+export const redact = (text, { userIdentifier = null, rules = [], detectors = BUILTIN_DETECTORS } = {}) => {
+  const allDetectors = [
+    ...rules,
+    ...detectors,
+    ...(userIdentifier ? [userIdentifierDetector(userIdentifier)] : []),
+  ];
+  const report = [];
+  let result = text;
+
+  for (const detector of allDetectors) {
+    let count = 0;
+    const samples = [];
+
+    result = result.replace(detector.pattern, (...args) => {
+      const match = args[0];
+      if (detector.accept && !detector.accept(...args)) {
+        return match;
+      }
+
+      count++;
+      if (samples.length < 3) samples.push(maskValue(match));
+
+      if (typeof detector.replacement === 'function') return detector.replacement(...args);
+      return detector.replacement ?? `[REDACTED:${detector.name}]`;
+    });
+
+    if (count > 0) {
+      report.push({ detector: detector.name, count, samples });
+    }
+  }
+
+  return { text: result, report };
+};
+
+/**
+ * Merges redaction reports, detector by detector
+ * @param {Array<Array<{detector: string, count: number, samples: Array<string>}>>} reports - Reports
+ * @returns {Array<{detector: string, count: number, samples: Array<string>}>} Merged report
+ */
+const mergeReports = (reports) => {
+  const merged = new Map();
+  reports.flat().forEach(({ detector, count, samples }) => {
+    const entry = merged.get(detector) || { detector, count: 0, samples: [] };
+    entry.count += count;
+    entry.samples = [...entry.samples, ...samples].slice(0, 3);
+    merged.set(detector, entry);
+  });
+  return [...merged.values()];
+};
+
+/**
+ * Redacts an HTML page: its text and attribute values, but not its tags,
+ * class names, ids or style and script elements, so that a redacted value
+ * never rewrites the markup
+ * @param {string} html - HTML page
+ * @param {object} [options] - Redaction options (see `redact()`)
+ * @returns {{text: string, report: Array<{detector: string, count: number, samples: Array<string>}>}}
+ *   Redacted page and replacements per detector
+ */
+export const redactHtml = (html, options) => {
+  const reports = [];
+  const redactValue = (value) => {
+    const { text, report } = redact(value, options);
+    reports.push(report);
+    return text;
+  };
+
+  const text = html.replace(HTML_TOKEN_PATTERN, (token, element) => {
+    if (element || token === '<') return token;
+    if (token.startsWith('<')) {
+      return token.replace(HTML_ATTRIBUTE_PATTERN, (match, before, value, after) => before + redactValue(value) + after);
+    }
+    return redactValue(token);
+  });
+
+  return { text, report: mergeReports(reports) };
+};
+
+/**
+ * Redacts the string values of a JSON value (objects and arrays walked), but
+ * not its keys or the structural values of the session model and dataset
+ * records (schema, item types, message roles)
+ * @param {*} value - JSON value
+ * @param {object} [options] - Redaction options (see `redact()`)
+ * @returns {{value: *, report: Array<{detector: string, count: number, samples: Array<string>}>}}
+ *   Redacted copy and replacements per detector
+ */
+export const redactValues = (value, options) => {
+  const reports = [];
+  const redactValue = (item, key) => {
+    if (typeof item === 'string') {
+      if (JSON_STRUCTURAL_KEYS.includes(key)) return item;
+      const { text, report } = redact(item, options);
+      reports.push(report);
+      return text;
+    }
+    if (Array.isArray(item)) return item.map(entry => redactValue(entry, key));
+    if (item && typeof item === 'object') {
+      return Object.fromEntries(Object.entries(item).map(([name, entry]) => [name, redactValue(entry, name)]));
+    }
+    return item;
+  };
+
+  return { value: redactValue(value, null), report: mergeReports(reports) };
+};
+
+/**
+ * Redacts a JSON document: its string values, but not its keys or the
+ * structural values of the session model (schema, item types)
+ * @param {string} json - JSON document (pretty-printed with two spaces)
+ * @param {object} [options] - Redaction options (see `redact()`)
+ * @returns {{text: string, report: Array<{detector: string, count: number, samples: Array<string>}>}}
+ *   Redacted document and replacements per detector
+ */
+export const redactJson = (json, options) => {
+  const { value, report } = redactValues(JSON.parse(json), options);
+  return { text: JSON.stringify(value, null, 2) + (json.endsWith('\n') ? '\n' : ''), report };
+};
@@ -0,0 +1,234 @@
+/**
+ * @file renderers.js
+ * @description Alternative output renderers for parsed chat sessions
+ */
+
+import { VISUAL_MARKERS } from './constants.js';
+import {
+  formatActionItems,
+  formatContextReferences,
+  formatTerminalCommand,
+  formatTerminalSummary,
+  markerLabel,
+  turnAnchor,
+} from './formatters.js';
+import { fenceBlock } from './fences.js';
+import { splitTerminalCommands, limitOutput } from './terminal.js';
+import { compose, shiftHeadingLevels, forceLineBreaks } from './transformers.js';
+import { escapeHtml, inlineToHtml, markdownToHtml } from './markdown.js';
+
+const HTML_STYLE = `
+  :root { --bg: #f6f7f9; --card: #fff; --text: #1f2328; --muted: #656d76;
+          --user: #dbeafe; --agent: #fff; --border: #d0d7de; --code: #f0f2f5; }
+  @media (prefers-color-scheme: dark) {
+    :root { --bg: #0d1117; --card: #161b22; --text: #e6edf3; --muted: #8d96a0;
+            --user: #1f3a5f; --agent: #161b22; --border: #30363d; --code: #0b0f14; }
+  }
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 2rem 1rem; background: var(--bg); color: var(--text);
+         font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+  main { max-width: 860px; margin: 0 auto; }
+  .session-header { background: var(--card); border: 1px solid var(--border); border-radius: 12px;
+                    padding: 1rem 1.5rem; margin-bottom: 2rem; }
+  .session-header h1 { margin: 0 0 .5rem; font-size: 1.4rem; }
+  .session-header dl { display: grid; grid-template-columns: max-content 1fr; gap: .25rem 1rem; margin: 0; }
+  .session-header dt { color: var(--muted); }
+  .session-header dd { margin: 0; overflow-wrap: anywhere; }
+  .turn { display: flex; margin: 1rem 0; }
+  .turn.user { justify-content: flex-end; }
+  .bubble { max-width: 85%; padding: .75rem 1.25rem; border-radius: 16px; border: 1px solid var(--border);
+            overflow-wrap: anywhere; }
+  .turn.user .bubble { background: var(--user); border-bottom-right-radius: 4px; }
+  .turn.agent .bubble { background: var(--agent); border-bottom-left-radius: 4px; max-width: 100%; }
+  .speaker { font-weight: 600; font-size: .85rem; color: var(--muted); margin-bottom: .25rem; }
+  .meta { font-size: .75rem; color: var(--muted); }
+  details.actions { border: 1px dashed var(--border); border-radius: 8px; padding: .25rem .75rem;
+                    margin: .75rem 0; font-size: .9rem; }
+  details.actions summary { cursor: pointer; color: var(--muted); }
+  details.output { margin: -.5rem 0 .75rem; font-size: .9rem; }
+  details.output summary { cursor: pointer; color: var(--muted); }
+  pre { background: var(--code); padding: .75rem 1rem; border-radius: 8px; overflow-x: auto; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: .875em; }
+  :not(pre) > code { background: var(--code); padding: .1em .35em; border-radius: 4px; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid var(--border); padding: .25rem .5rem; }
+  blockquote { margin: 0; padding-left: 1rem; border-left: 3px solid var(--border); color: var(--muted); }
+  .tok-comment { color: #6a737d; font-style: italic; }
+  .tok-string { color: #22863a; }
+  .tok-number { color: #005cc5; }
+  .tok-keyword { color: #d73a49; font-weight: 600; }
+`;
+
+/**
+ * Renders a technical action sequence as a collapsible block
+ * @param {object} actionSection - Action section ({ content: Array<string> })
+ * @param {Array<string>} projectRoots - Project roots
+ * @param {object} visualMarkers - Section headers
+ * @returns {string} HTML
+ */
+const renderActionsHtml = (actionSection, projectRoots, visualMarkers) => {
+  const actions = Array.isArray(actionSection.content)
+    ? actionSection.content
+    : [actionSection.content || ''];
+
+  const items = actions
+    .filter(action => action)
+    .flatMap(action => formatActionItems(action, projectRoots))
+    .map(({ text, diff }) => `<li>${inlineToHtml(text)}${diff ? markdownToHtml(diff) : ''}</li>`)
+    .join('');
+
+  const summary = visualMarkers.AGENT_ACTION.replace('<details>', '<details class="actions">');
+  return `${summary}<ul>${items}</ul>${visualMarkers.AGENT_ACTION_END}`;
+};
+
+/**
+ * Renders a terminal command, its output in a collapsible block
+ * @param {import('./terminal.js').TerminalCommand} terminalCommand - Command, output and exit status
+ * @param {number} [terminalLines] - Maximum number of output lines
+ * @returns {string} HTML
+ */
+const renderTerminalHtml = (terminalCommand, terminalLines) => {
+  const command = markdownToHtml(formatTerminalCommand({ ...terminalCommand, output: null }));
+  if (terminalCommand.output === null) return command;
+
+  const output = markdownToHtml(fenceBlock(limitOutput(terminalCommand.output, terminalLines), 'text'));
+  return `${command}
+<details class="output"><summary>${escapeHtml(formatTerminalSummary(terminalCommand))}</summary>${output}</details>`;
+};
+
+/**
+ * Renders a merged section as an HTML chat bubble
+ * @param {object} section - Merged section
+ * @param {Array<string>} projectRoots - Project roots
+ * @param {object} visualMarkers - Section headers
+ * @param {number} [terminalLines] - Maximum number of lines of each terminal output
+ * @returns {string} HTML
+ */
+const renderSectionHtml = (section, projectRoots, visualMarkers, terminalLines) => {
+  const { type, content, actions, meta } = section;
+
+  if (type === 'user-prompt') {
+    const promptText = Array.isArray(content) ? content.join('\n') : (content || '');
+    const body = markdownToHtml(compose(formatContextReferences, forceLineBreaks)(promptText));
+    const metaLine = meta && (meta.timestamp || meta.model)
+      ? `<div class="meta">${escapeHtml([meta.timestamp, meta.model].filter(Boolean).join(' · '))}</div>`
+      : '';
+
+    const id = section.turn ? ` id="${turnAnchor(section.turn)}"` : '';
+    return `<section class="turn user"${id}><div class="bubble">
+<div class="speaker">${escapeHtml(markerLabel(visualMarkers.USER_PROMPT))}</div>${metaLine}
+${body}
+</div></section>`;
+  }
+
+  if (type === 'agent-response') {
+    const responseText = Array.isArray(content) ? content.join('\n\n') : (content || '');
+    const body = responseText
+      .split(/__ACTION_PLACEHOLDER_(\d+)__/)
+      .map((part, index) => {
+        // Odd indexes are captured placeholder numbers
+        if (index % 2 === 1) {
+          const actionSection = actions?.[Number(part)];
+          return actionSection ? renderActionsHtml(actionSection, projectRoots, visualMarkers) : '';
+        }
+        return splitTerminalCommands(part)
+          .map(segment => (segment.type === 'text'
+            ? markdownToHtml(compose(formatContextReferences, shiftHeadingLevels, forceLineBreaks)(segment.text))
+            : renderTerminalHtml(segment, terminalLines)))
+          .join('\n');
+      })
+      .join('\n');
+
+    return `<section class="turn agent"><div class="bubble">
+<div class="speaker">${escapeHtml(markerLabel(visualMarkers.AGENT_RESPONSE))}</div>
+${body}
+</div></section>`;
+  }
+
+  if (type === 'agent-action') {
+    return `<section class="turn agent"><div class="bubble">${renderActionsHtml(section, projectRoots, visualMarkers)}</div></section>`;
+  }
+
+  return markdownToHtml(section.raw || '');
+};
+
+/**
+ * Renders the session metadata as a header card
+ * @param {object} options - Session metadata
+ * @returns {string} HTML
+ */
+const renderHeaderHtml = ({ projectRoot, projectRoots = [], inputFile, processedDate, metadata = {} }) => {
+  const fields = [
+    ['Type', 'chat-session'],
+    [projectRoots.length > 1 ? 'Project roots' : 'Project root', projectRoots.join(', ') || projectRoot || 'N/A'],
+    ['Source file', inputFile],
+    ['Agent', metadata.agent],
+    ['Models', metadata.models?.join(', ')],
+    ['Session start', metadata.startDate],
+    ['Session end', metadata.endDate],
+    ['Processed', processedDate],
+  ].filter(([, value]) => value);
+
+  const rows = fields
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('\n');
+
+  return `<header class="session-header">
+<h1>💬 ${escapeHtml(inputFile)}</h1>
+<dl>
+${rows}
+</dl>
+</header>`;
+};
+
+/**
+ * Renders merged sections as a self-contained HTML page (inline CSS, no network)
+ * @param {Array} sections - Merged sections
+ * @param {object} options - Rendering options
+ * @param {string} options.projectRoot - Project root path (the first one)
+ * @param {Array<string>} [options.projectRoots] - All project roots
+ * @param {string} options.inputFile - Input file name
+ * @param {string} options.processedDate - Processing date
+ * @param {object} [options.metadata] - Session metadata from structured imports
+ * @param {object} [options.visualMarkers] - Section headers (VISUAL_MARKERS by default)
+ * @param {number} [options.terminalLines] - Maximum number of lines of each terminal output
+ * @returns {string} HTML document
+ */
+export const renderHtml = (sections, {
+  projectRoot,
+  projectRoots = projectRoot ? [projectRoot] : [],
+  inputFile,
+  processedDate,
+  metadata,
+  visualMarkers = VISUAL_MARKERS,
+  terminalLines,
+}) => {
+  const body = sections
+    .map(section => renderSectionHtml(section, projectRoots, visualMarkers, terminalLines))
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="smyp">
+<title>${escapeHtml(inputFile)} — chat session</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<main>
+${renderHeaderHtml({ projectRoot, projectRoots, inputFile, processedDate, metadata })}
+${body}
+</main>
+</body>
+</html>
+`;
+};
+
+/**
+ * Renders the session model as pretty-printed JSON
+ * @param {object} model - Session model (see buildSessionModel)
+ * @returns {string} JSON document
+ */
+export const renderJson = (model) => JSON.stringify(model, null, 2) + '\n';
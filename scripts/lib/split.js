@@ -0,0 +1,215 @@
+/**
+ * @file split.js
+ * @description Splitting a long session into several documents (every N
+ * turns, at conversation summaries, or by size), with navigation and a parent index
+ */
+
+import { extname } from 'path';
+import { MARKERS, TEXTS, ACTION_TYPES } from './constants.js';
+import { sectionExcerpt } from './formatters.js';
+import { ConfigurationError } from './errors.js';
+
+// Multipliers of the size budget suffixes
+const SIZE_UNITS = { '': 1, k: 1024, m: 1024 * 1024 };
+
+// "Summarized conversation history" action (context compaction)
+const SUMMARY_PATTERN = ACTION_TYPES.find(({ type }) => type === 'summary').pattern;
+
+/**
+ * Split strategy
+ * @typedef {Object} SplitStrategy
+ * @property {string} type - `turns`, `summary` or `size`
+ * @property {number} [turns] - Turns per part (`turns`)
+ * @property {number} [bytes] - Size budget of a part (`size`)
+ */
+
+/**
+ * Parses a split strategy: "turns:N" (or just "N"), "summary" or "size:N[k|m]"
+ * @param {string|SplitStrategy} value - Strategy
+ * @returns {SplitStrategy} Parsed strategy
+ * @throws {ConfigurationError} If the strategy is invalid
+ */
+export const parseSplitStrategy = (value) => {
+  if (typeof value === 'object' && value !== null) {
+    return parseSplitStrategy(
+      value.type === 'summary' ? 'summary' : `${value.type}:${value.turns ?? value.bytes}`
+    );
+  }
+
+  const match = String(value).trim().match(/^(?:(turns|size|summary)(?::(.*))?|(\d+))$/i);
+  const type = match && (match[3] ? 'turns' : match[1].toLowerCase());
+
+  if (type === 'summary' && match[2] === undefined) {
+    return { type };
+  }
+  if (type === 'turns') {
+    const turns = Number(match[3] ?? match[2]);
+    if (Number.isInteger(turns) && turns > 0) return { type, turns };
+  }
+  if (type === 'size') {
+    const size = String(match[2] ?? '').trim().match(/^(\d+)\s*([km]?)b?$/i);
+    if (size && Number(size[1]) > 0) {
+      return { type, bytes: Number(size[1]) * SIZE_UNITS[size[2].toLowerCase()] };
+    }
+  }
+
+  throw new ConfigurationError(
+    `Invalid split strategy: ${value} (expected turns:<count>, summary or size:<bytes>[k|m])`
+  );
+};
+
+/**
+ * Groups sections by turn (session separators go with the turn that follows them)
+ * @param {Array} sections - Sections numbered by turn
+ * @returns {Array<Array>} Sections of each turn, in order
+ */
+const groupTurns = (sections) => {
+  const turns = [];
+  for (const section of sections) {
+    const last = turns[turns.length - 1];
+    const previous = last?.[last.length - 1];
+    if (previous && (!previous.turn || previous.turn === section.turn)) {
+      last.push(section);
+    } else {
+      turns.push([section]);
+    }
+  }
+  return turns;
+};
+
+/**
+ * Checks whether a turn holds a "Summarized conversation history" action
+ * (raw action sequences, or action blocks of a re-parsed formatted section)
+ * @param {Array} turn - Sections of the turn
+ * @returns {boolean}
+ */
+const hasSummary = (turn) => {
+  return turn.some(section => {
+    const lines = [
+      ...[].concat(section.content || []),
+      ...(section.actions || []).flatMap(action => [].concat(action?.content || [])),
+    ].flatMap(text => String(text).split('\n'));
+    return lines.some(line => SUMMARY_PATTERN.test(line.replace(/^- /, '')));
+  });
+};
+
+/**
+ * Splits sections into parts, always between turns. With `summary`, each
+ * turn where the conversation history was summarized starts a new part; with
+ * `size`, a part ends before the turn that would exceed the budget (a turn
+ * larger than the budget gets its own part).
+ * @param {Array} sections - Merged sections, numbered by turn
+ * @param {string|SplitStrategy} strategy - Split strategy
+ * @param {object} [options] - Split options
+ * @param {Function} [options.measure] - Size of a section (`size` strategy; its text length by default)
+ * @returns {Array<Array>} Sections of each part (a single part if nothing is cut)
+ * @throws {ConfigurationError} If the strategy is invalid
+ */
+export const splitSections = (sections, strategy, {
+  measure = (section) => [].concat(section.content || []).join('\n').length,
+} = {}) => {
+  const { type, turns: turnsPerPart, bytes } = parseSplitStrategy(strategy);
+  const parts = [];
+  let current = [];
+  let size = 0;
+
+  groupTurns(sections).forEach((turn, index) => {
+    const turnSize = type === 'size' ? turn.reduce((sum, section) => sum + measure(section), 0) : 0;
+    const cut = current.length > 0 && (
+      (type === 'turns' && index % turnsPerPart === 0) ||
+      (type === 'summary' && hasSummary(turn)) ||
+      (type === 'size' && size + turnSize > bytes)
+    );
+
+    if (cut) {
+      parts.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(...turn);
+    size += turnSize;
+  });
+
+  if (current.length > 0 || parts.length === 0) parts.push(current);
+  return parts;
+};
+
+/**
+ * Computes the file name of a part, next to the parent index
+ * @param {string} name - Parent index file name ("session.md")
+ * @param {number} index - Part number (from 1)
+ * @returns {string} Part file name ("session.part-2.md")
+ */
+export const partFileName = (name, index) => {
+  const extension = extname(name) || '.md';
+  const base = name.slice(0, name.length - extname(name).length);
+  return `${base}.part-${index}${extension}`;
+};
+
+/**
+ * Returns the range of turns covered by sections
+ * @param {Array} sections - Sections numbered by turn
+ * @returns {string} Range ("11-20", "7", or empty)
+ */
+export const turnRange = (sections) => {
+  const turns = sections.map(section => section.turn).filter(Boolean);
+  const first = turns[0];
+  const last = turns[turns.length - 1];
+  if (!first) return '';
+  return first === last ? String(first) : `${first}-${last}`;
+};
+
+/**
+ * Formats the navigation line of a part: previous part, parent index, next part
+ * @param {string} name - Parent index file name
+ * @param {number} index - Part number (from 1)
+ * @param {number} total - Number of parts
+ * @returns {string} Navigation block (marker and line)
+ */
+export const formatPartNavigation = (name, index, total) => {
+  const link = (label, target) => `[${label}](${target.replace(/ /g, '%20')})`;
+  const items = [
+    index > 1 && link(`← ${TEXTS.SPLIT_PART} ${index - 1}`, partFileName(name, index - 1)),
+    link(TEXTS.SPLIT_INDEX, name),
+    index < total && link(`${TEXTS.SPLIT_PART} ${index + 1} →`, partFileName(name, index + 1)),
+  ].filter(Boolean);
+
+  return `${MARKERS.PART_NAV}
+${items.join(' · ')}
+`;
+};
+
+/**
+ * Generates the parent index of a split session: its frontmatter and one row
+ * per part (turns covered, first prompt)
+ * @param {Array<Array>} parts - Sections of each part
+ * @param {object} options - Index options
+ * @param {string} options.name - Parent index file name
+ * @param {string} options.inputFile - Source file name
+ * @param {string} options.processedDate - Processing date
+ * @returns {string} Markdown index
+ */
+export const generateSplitIndex = (parts, { name, inputFile, processedDate }) => {
+  const rows = parts.map((sections, index) => {
+    const prompt = sections.find(section => section.type === 'user-prompt');
+    const excerpt = prompt ? sectionExcerpt(prompt) : '';
+    const target = partFileName(name, index + 1).replace(/ /g, '%20');
+    return `| [${TEXTS.SPLIT_PART} ${index + 1}](${target}) | ${turnRange(sections) || '—'} | ${excerpt.replace(/\|/g, '\\|') || '—'} |`;
+  });
+
+  return `---
+type: chat-session-index
+sourceFile: ${inputFile}
+parts: ${parts.length}
+processedDate: ${processedDate}
+---
+${MARKERS.PROCESSED}
+${MARKERS.INDEX}
+
+# 💬 ${inputFile}
+
+${TEXTS.SPLIT_INDEX_HEADER}
+| --- | --- | --- |
+${rows.join('\n')}
+`;
+};
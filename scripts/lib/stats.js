@@ -0,0 +1,178 @@
+/**
+ * @file stats.js
+ * @description Per-session usage statistics (turns, files touched, commands, words)
+ */
+
+import { ACTION_TYPES, TEXTS } from './constants.js';
+import { analyzeSession } from './format.js';
+import { buildSessionModel } from './model.js';
+import { isAlreadyProcessed } from './parsers.js';
+import { matchSpeaker } from './profiles.js';
+import { createFenceTracker } from './fences.js';
+import { unformatSections } from './unformat.js';
+
+// Action types whose files are listed, with their report key
+const FILE_OPERATIONS = { read: 'read', create: 'created', edit: 'edited' };
+
+// "Summarized conversation history" marker (context compaction)
+const SUMMARY_PATTERN = ACTION_TYPES.find(({ type }) => type === 'summary').pattern;
+
+/**
+ * Counts the words of a text
+ * @param {string} text - Text
+ * @returns {number} Word count
+ */
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * Summarizes word counts
+ * @param {Array<number>} counts - Word count of each item
+ * @returns {{count: number, words: number, average: number, max: number}} Summary
+ */
+const summarizeWords = (counts) => {
+  const words = counts.reduce((sum, count) => sum + count, 0);
+  return {
+    count: counts.length,
+    words,
+    average: counts.length > 0 ? Math.round(words / counts.length) : 0,
+    max: Math.max(0, ...counts),
+  };
+};
+
+/**
+ * Counts the continuation prompts the parser drops (profile's ignoreUserPrompts)
+ * @param {string} content - Raw session content
+ * @param {string} userIdentifier - User identifier
+ * @param {import('./profiles.js').Profile} profile - Speaker profile
+ * @returns {number} Skipped continuation prompts
+ */
+const countSkippedContinuations = (content, userIdentifier, profile) => {
+  const trackFence = createFenceTracker();
+  let count = 0;
+
+  for (const line of content.split('\n')) {
+    if (trackFence(line).inCode) continue;
+
+    const prompt = matchSpeaker(line, userIdentifier);
+    if (prompt !== null && profile.ignoreUserPrompts.some(pattern => pattern.test(prompt))) {
+      count++;
+    }
+  }
+
+  return count;
+};
+
+/**
+ * Computes usage statistics of a session. Formatted documents are re-parsed
+ * (actions and terminal commands from their blocks, raw turns pasted after
+ * them included).
+ * @param {string} content - Session content (transcript, VS Code JSON export or formatted document)
+ * @param {object} [options] - Analysis options (see `analyzeSession()`)
+ * @param {string} [options.inputFile='stdin'] - Input file name for the report
+ * @returns {object} Statistics: turns, prompts and responses (word counts), actions by type,
+ *   files per operation (with reference counts), terminal commands (failed ones with their
+ *   exit code), compactions and skipped continuation prompts
+ * @throws {import('./errors.js').UserIdentifierNotFoundError} If no user prompt can be detected
+ */
+export const computeSessionStats = (content, { inputFile = 'stdin', ...options } = {}) => {
+  const analysis = analyzeSession(content, options);
+  const model = buildSessionModel(unformatSections(analysis.sections), {
+    projectRoot: analysis.projectRoots[0] || null,
+    projectRoots: analysis.projectRoots,
+    inputFile,
+    userIdentifier: analysis.userIdentifier,
+    profile: analysis.profile?.name || null,
+    metadata: analysis.metadata,
+  });
+
+  const items = model.turns.flatMap(turn => turn.response);
+  const actions = items.filter(item => item.type === 'actions').flatMap(item => item.actions);
+  const terminalCommands = items.filter(item => item.type === 'terminal-command');
+  // The marker opening a response ("GitHub Copilot: Summarized conversation history") is parsed as text
+  const textSummaries = items
+    .filter(item => item.type === 'text')
+    .flatMap(item => item.text.split('\n'))
+    .filter(line => SUMMARY_PATTERN.test(line.trim())).length;
+
+  const actionsByType = {};
+  const files = Object.fromEntries(Object.values(FILE_OPERATIONS).map(key => [key, {}]));
+  for (const action of actions) {
+    actionsByType[action.type] = (actionsByType[action.type] || 0) + 1;
+    const operation = FILE_OPERATIONS[action.type];
+    const paths = new Set((action.edits || [action]).map(({ path }) => path).filter(Boolean));
+    for (const path of operation ? paths : []) {
+      files[operation][path] = (files[operation][path] || 0) + 1;
+    }
+  }
+
+  return {
+    file: inputFile,
+    profile: model.session.profile,
+    formatted: isAlreadyProcessed(content),
+    userIdentifier: model.session.userIdentifier,
+    projectRoots: analysis.projectRoots,
+    turns: model.turns.length,
+    prompts: summarizeWords(
+      model.turns.filter(turn => turn.prompt).map(turn => countWords(turn.prompt.text))
+    ),
+    responses: summarizeWords(model.turns
+      .filter(turn => turn.response.length > 0)
+      .map(turn => turn.response
+        .filter(item => item.type === 'text')
+        .reduce((sum, item) => sum + countWords(item.text), 0))),
+    actions: { total: actions.length, byType: actionsByType },
+    files,
+    terminalCommands: {
+      count: terminalCommands.length,
+      commands: terminalCommands.map(({ command }) => command),
+      failed: terminalCommands
+        .filter(({ failed }) => failed)
+        .map(({ command, exitCode }) => ({ command, exitCode })),
+    },
+    compactions: (actionsByType.summary || 0) + textSummaries,
+    skippedContinuations: analysis.profile
+      ? countSkippedContinuations(content, analysis.userIdentifier, analysis.profile)
+      : 0,
+  };
+};
+
+/**
+ * Renders statistics as a human-readable console report
+ * @param {object} stats - Statistics from `computeSessionStats()`
+ * @returns {string} Report
+ */
+export const renderStatsReport = (stats) => {
+  const words = ({ count, words: total, average }) => {
+    return `${count} (${total} ${TEXTS.STATS_WORDS}, ~${average} ${TEXTS.STATS_EACH})`;
+  };
+  const byType = Object.entries(stats.actions.byType)
+    .map(([type, count]) => `${type} ${count}`)
+    .join(', ');
+  const { failed } = stats.terminalCommands;
+  const profile = stats.profile || (stats.formatted ? TEXTS.STATS_FORMATTED : TEXTS.STATS_JSON_EXPORT);
+
+  const lines = [
+    `${TEXTS.STATS_TITLE} ${stats.file}`,
+    `   ${TEXTS.STATS_PROFILE} ${profile}${stats.userIdentifier ? ` (${stats.userIdentifier})` : ''}`,
+    `   ${TEXTS.STATS_TURNS} ${stats.turns}`,
+    `   ${TEXTS.STATS_PROMPTS} ${words(stats.prompts)}`,
+    `   ${TEXTS.STATS_RESPONSES} ${words(stats.responses)}`,
+    `   ${TEXTS.STATS_ACTIONS} ${stats.actions.total}${byType ? ` (${byType})` : ''}`,
+    `   ${TEXTS.STATS_COMMANDS} ${stats.terminalCommands.count}`,
+    ...(failed.length > 0 ? [`   ${TEXTS.STATS_FAILED_COMMANDS} ${failed.length}`] : []),
+    ...failed.map(({ command, exitCode }) => {
+      return `      ${command}${exitCode === null ? '' : ` (${TEXTS.TERMINAL_EXIT_CODE} ${exitCode})`}`;
+    }),
+    `   ${TEXTS.STATS_COMPACTIONS} ${stats.compactions}`,
+    `   ${TEXTS.STATS_CONTINUATIONS} ${stats.skippedContinuations}`,
+  ];
+
+  for (const [operation, counts] of Object.entries(stats.files)) {
+    const entries = Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    if (entries.length === 0) continue;
+    lines.push(`   ${TEXTS.STATS_FILES} ${operation} (${entries.length}):`);
+    entries.forEach(([path, count]) => lines.push(`      ${count}× ${path}`));
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,196 @@
+/**
+ * @file templates.js
+ * @description Output templates: the shape of prompts, responses, action
+ * blocks, terminal commands and the frontmatter in Markdown output, with
+ * built-in presets
+ */
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { MARKERS } from './constants.js';
+import { ConfigurationError } from './errors.js';
+
+/**
+ * Output templates, with `{{variable}}` placeholders
+ * @typedef {Object} Templates
+ * @property {string} userPrompt - User prompt (after its section marker)
+ * @property {string} agentResponse - Agent response (after its section marker)
+ * @property {string} agentAction - Technical action block (after its marker, inside the response)
+ * @property {string} terminalCommand - Terminal command (inside the response)
+ * @property {string} terminalOutput - Output of a terminal command (after the command)
+ * @property {string} frontmatter - Frontmatter (`{{fields}}` between the `---` lines)
+ */
+
+// Variables available in each template
+export const TEMPLATE_VARIABLES = {
+  userPrompt: ['heading', 'title', 'label', 'turn', 'excerpt', 'content', 'timestamp', 'model'],
+  agentResponse: ['heading', 'label', 'turn', 'content'],
+  agentAction: ['heading', 'end', 'label', 'actions', 'count', 'files'],
+  terminalCommand: ['label', 'command'],
+  terminalOutput: ['summary', 'label', 'output', 'lines', 'exitCode'],
+  frontmatter: [
+    'fields', 'title', 'type', 'projectRoot', 'projectRoots', 'sourceFile', 'sources', 'part', 'turns',
+    'parent', 'agent', 'models', 'sessionStart', 'sessionEnd', 'userPrompts', 'agentResponses',
+    'filesRead', 'filesCreated', 'filesEdited', 'lang', 'processedDate', 'updatedDate',
+  ],
+};
+
+/** @type {Templates} */
+const DEFAULT_TEMPLATES = {
+  userPrompt: '{{heading}}\n\n{{content}}',
+  agentResponse: '{{heading}}\n\n{{content}}',
+  agentAction: '{{heading}}\n\n{{actions}}\n\n{{end}}',
+  terminalCommand: '▶️ **{{label}}:**\n```bash\n{{command}}\n```',
+  terminalOutput: '<details><summary>{{summary}}</summary>\n\n{{output}}\n\n</details>',
+  frontmatter: '---\n{{fields}}\n---',
+};
+
+/** @type {Object<string, Templates>} */
+export const BUILTIN_TEMPLATES = {
+  default: DEFAULT_TEMPLATES,
+  github: {
+    ...DEFAULT_TEMPLATES,
+    userPrompt: '{{heading}}\n\n> [!NOTE]\n> {{content}}',
+    agentAction: '<details>\n<summary>{{label}} ({{count}})</summary>\n\n{{actions}}\n\n</details>',
+    terminalCommand: '```console\n$ {{command}}\n```',
+  },
+  obsidian: {
+    ...DEFAULT_TEMPLATES,
+    userPrompt: '> [!question] {{title}}\n> {{content}}',
+    agentAction: '> [!abstract]- {{label}} ({{count}})\n> {{actions}}',
+    terminalCommand: '> [!example] {{label}}\n> ```bash\n> {{command}}\n> ```',
+    terminalOutput: '> [!quote]- {{summary}}\n> {{output}}',
+    frontmatter: '---\n{{fields}}\ntags: [chat-session]\n---',
+  },
+  plain: {
+    ...DEFAULT_TEMPLATES,
+    agentAction: '**{{label}}**\n\n{{actions}}',
+    terminalCommand: '```bash\n{{command}}\n```',
+    terminalOutput: '**{{summary}}**\n\n{{output}}',
+  },
+};
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Prefix repeated before each line of a multi-line value (indentation, blockquote)
+const LINE_PREFIX_PATTERN = /^[ \t>]*$/;
+
+// Section templates whose body directly follows a one-line heading need no content markers
+const HEADING_THEN_CONTENT_PATTERN = /^[^\n]*\n\n\{\{\s*content\s*\}\}$/;
+
+/**
+ * Validates a template against the variables it may use
+ * @param {*} template - Template
+ * @param {string} field - Template name
+ * @returns {string} Template
+ * @throws {ConfigurationError} If the template is not a string or uses an unknown variable
+ */
+const validateTemplate = (template, field) => {
+  if (typeof template !== 'string' || template.trim() === '') {
+    throw new ConfigurationError(`Template ${field} must be a non-empty string`);
+  }
+  for (const [, name] of template.matchAll(VARIABLE_PATTERN)) {
+    if (!TEMPLATE_VARIABLES[field].includes(name)) {
+      throw new ConfigurationError(
+        `Unknown variable in template ${field}: ${name} (available: ${TEMPLATE_VARIABLES[field].join(', ')})`
+      );
+    }
+  }
+  if (field === 'frontmatter' && !/^---\n[\s\S]*\{\{\s*fields\s*\}\}[\s\S]*\n---$/.test(template)) {
+    throw new ConfigurationError('Template frontmatter must keep {{fields}} between its --- lines');
+  }
+  return template;
+};
+
+/**
+ * Validates and completes templates: a preset name, or templates overriding
+ * a preset (`preset`, `default` if omitted)
+ * @param {string|object} [definition='default'] - Preset name or templates
+ * @returns {Templates} Complete templates
+ * @throws {ConfigurationError} If the preset is unknown or a template is invalid
+ */
+export const createTemplates = (definition = 'default') => {
+  if (typeof definition !== 'string' && (typeof definition !== 'object' || definition === null ||
+      Array.isArray(definition))) {
+    throw new ConfigurationError('"templates" must be a preset name or an object');
+  }
+  const { preset = 'default', ...overrides } = typeof definition === 'string' ? { preset: definition } : definition;
+
+  if (!BUILTIN_TEMPLATES[preset]) {
+    throw new ConfigurationError(
+      `Unknown template preset: ${preset} (available: ${Object.keys(BUILTIN_TEMPLATES).join(', ')})`
+    );
+  }
+  const unknown = Object.keys(overrides).filter(key => !(key in TEMPLATE_VARIABLES));
+  if (unknown.length > 0) {
+    throw new ConfigurationError(
+      `Unknown template: ${unknown.join(', ')} (expected: preset, ${Object.keys(TEMPLATE_VARIABLES).join(', ')})`
+    );
+  }
+
+  const templates = { ...BUILTIN_TEMPLATES[preset], ...overrides };
+  return Object.fromEntries(Object.entries(templates).map(([field, template]) => [
+    field,
+    validateTemplate(template, field),
+  ]));
+};
+
+/**
+ * Resolves templates from a preset name or a JSON definition file
+ * @param {string} nameOrPath - Preset name or path to a JSON file
+ * @returns {Templates} Complete templates
+ * @throws {ConfigurationError} If the templates cannot be found or are invalid
+ */
+export const resolveTemplates = (nameOrPath) => {
+  if (!nameOrPath.endsWith('.json')) return createTemplates(nameOrPath);
+
+  let definition;
+  try {
+    definition = JSON.parse(readFileSync(resolve(nameOrPath), 'utf-8'));
+  } catch (error) {
+    throw new ConfigurationError(`Failed to load templates ${nameOrPath}: ${error.message}`);
+  }
+  try {
+    return createTemplates(definition);
+  } catch (error) {
+    throw new ConfigurationError(`Invalid templates ${nameOrPath}: ${error.message}`);
+  }
+};
+
+/**
+ * Renders a template. A multi-line value placed after an indentation or
+ * blockquote prefix (`> {{content}}`) repeats that prefix on each line.
+ * @param {string} template - Template
+ * @param {Object<string, string|number|null|undefined>} variables - Variable values (missing ones are empty)
+ * @returns {string} Rendered text
+ */
+export const renderTemplate = (template, variables) => {
+  return template.replace(VARIABLE_PATTERN, (match, name, offset) => {
+    const value = String(variables[name] ?? '');
+    const prefix = template.slice(template.lastIndexOf('\n', offset - 1) + 1, offset);
+    if (!LINE_PREFIX_PATTERN.test(prefix)) return value;
+
+    return value
+      .split('\n')
+      .map((line, index) => (index === 0 ? line : (line === '' ? prefix.trimEnd() : prefix + line)))
+      .join('\n');
+  });
+};
+
+/**
+ * Renders a section template. Unless the template is a one-line heading
+ * followed by the content, the content is wrapped in content markers so
+ * that re-parsing finds the body whatever surrounds it.
+ * @param {string} template - Section template (`userPrompt` or `agentResponse`)
+ * @param {object} variables - Variable values (`content` included)
+ * @returns {string} Rendered section
+ */
+export const renderSectionTemplate = (template, variables) => {
+  if (HEADING_THEN_CONTENT_PATTERN.test(template)) {
+    const heading = renderTemplate(template.split('\n')[0], variables);
+    if (heading.trim() !== '') return renderTemplate(template, variables);
+  }
+
+  const content = `${MARKERS.CONTENT}\n${String(variables.content).trimEnd()}\n${MARKERS.CONTENT_END}`;
+  return renderTemplate(template, { ...variables, content });
+};
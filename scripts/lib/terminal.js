@@ -0,0 +1,169 @@
+/**
+ * @file terminal.js
+ * @description Terminal commands of agent responses: command line, output
+ * block and exit status
+ */
+
+import {
+  TEXTS,
+  TERMINAL_COMMAND_PATTERN,
+  TERMINAL_EXIT_PATTERN,
+  TERMINAL_ERROR_PATTERNS,
+} from './constants.js';
+import { ConfigurationError } from './errors.js';
+import { createFenceTracker, matchFence, closesFence } from './fences.js';
+
+/**
+ * Terminal command run by the agent
+ * @typedef {Object} TerminalCommand
+ * @property {string} command - Command line
+ * @property {string|null} output - Output, exit status line excluded (empty for an empty output block,
+ *   null if none follows the command)
+ * @property {number|null} exitCode - Exit code (null if unknown)
+ * @property {boolean} failed - Non-zero exit code or, when it is unknown, error markers in the output
+ */
+
+/**
+ * Validates a line limit for terminal outputs
+ * @param {number|string} value - Line limit
+ * @returns {number} Line limit
+ * @throws {ConfigurationError} If the limit is not a positive integer
+ */
+export const parseLineLimit = (value) => {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new ConfigurationError(`Invalid terminal line limit: ${value} (expected a positive integer)`);
+  }
+  return limit;
+};
+
+/**
+ * Reads an exit status line
+ * @param {string|undefined} line - Line
+ * @returns {number|null} Exit code, or null if the line is not an exit status
+ */
+const exitCodeOf = (line) => {
+  const match = line?.trim().match(TERMINAL_EXIT_PATTERN);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Reads the output of the command on a line: a fenced block after it (blank
+ * lines allowed), otherwise the lines right after it up to an exit status
+ * line (none if a blank line comes first). An exit status line ends the
+ * output or directly follows its block. A block of blank lines only (as
+ * printed for a command without output) is an output with no lines.
+ * @param {Array<string>} lines - Response lines
+ * @param {number} index - Index of the command line
+ * @returns {{output: Array<string>|null, exitCode: number|null, end: number}} Output lines (null
+ *   if no output follows the command), exit code and index of the last line read
+ */
+const readOutput = (lines, index) => {
+  let start = index + 1;
+  while (start < lines.length && lines[start].trim() === '') start++;
+  const match = start < lines.length ? matchFence(lines[start]) : null;
+  const fence = match && match.indent <= 3 ? match : null;
+
+  let output;
+  let end;
+  let exitCode = null;
+  if (fence) {
+    const close = lines.findIndex((line, i) => i > start && closesFence(line, fence));
+    end = close === -1 ? lines.length - 1 : close;
+    output = lines.slice(start + 1, close === -1 ? lines.length : close);
+    if (output.every(line => line.trim() === '')) output = [];
+    if (close !== -1 && exitCodeOf(lines[close + 1]) !== null) {
+      end = close + 1;
+      exitCode = exitCodeOf(lines[end]);
+    }
+  } else {
+    // Unfenced lines are output only when an exit status line ends them,
+    // otherwise they are the text following the command
+    let last = index;
+    while (last + 1 < lines.length && lines[last + 1].trim() !== '' &&
+           !TERMINAL_COMMAND_PATTERN.test(lines[last + 1]) && exitCodeOf(lines[last]) === null) {
+      last++;
+    }
+    const delimited = last > index && exitCodeOf(lines[last]) !== null;
+    end = delimited ? last : index;
+    output = lines.slice(index + 1, end + 1);
+  }
+
+  if (exitCode === null && exitCodeOf(output[output.length - 1]) !== null) {
+    exitCode = exitCodeOf(output[output.length - 1]);
+    output = output.slice(0, -1);
+  }
+
+  return { output: output.length > 0 || fence ? output : null, exitCode, end };
+};
+
+/**
+ * Tells whether a command failed: non-zero exit code or, when it is
+ * unknown, an error marker in its output
+ * @param {Array<string>} output - Output lines
+ * @param {number|null} exitCode - Exit code
+ * @returns {boolean} True if the command failed
+ */
+const hasFailed = (output, exitCode) => {
+  if (exitCode !== null) return exitCode !== 0;
+  return output.some(line => TERMINAL_ERROR_PATTERNS.some(pattern => pattern.test(line)));
+};
+
+/**
+ * Splits response text into text and terminal command segments, each
+ * command with its output (commands inside code blocks are left as text)
+ * @param {string} text - Response text
+ * @returns {Array<{type: 'text', text: string}|({type: 'terminal-command'} & TerminalCommand)>}
+ *   Segments, in order (text segments keep their lines as-is)
+ */
+export const splitTerminalCommands = (text) => {
+  const lines = text.split('\n');
+  const segments = [];
+  const trackFence = createFenceTracker();
+  let buffer = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = !trackFence(lines[i]).inCode && lines[i].match(TERMINAL_COMMAND_PATTERN);
+    if (!match) {
+      buffer.push(lines[i]);
+      continue;
+    }
+
+    const { output, exitCode, end } = readOutput(lines, i);
+    lines.slice(i + 1, end + 1).forEach(line => trackFence(line));
+    if (buffer.length > 0) segments.push({ type: 'text', text: buffer.join('\n') });
+    buffer = [];
+    segments.push({
+      type: 'terminal-command',
+      command: match[1].trimEnd(),
+      output: output && output.join('\n'),
+      exitCode,
+      failed: hasFailed(output || [], exitCode),
+    });
+    i = end;
+  }
+  if (buffer.length > 0) segments.push({ type: 'text', text: buffer.join('\n') });
+
+  return segments;
+};
+
+/**
+ * Shortens an output to a line limit, keeping its first and last lines
+ * @param {string} output - Output
+ * @param {number} [limit] - Maximum number of lines (no limit if omitted)
+ * @returns {string} Output, with a "… n lines omitted …" line in place of the middle ("… 1 line
+ *   omitted …" for a single line)
+ */
+export const limitOutput = (output, limit) => {
+  const lines = output.split('\n');
+  if (!limit || lines.length <= limit) return output;
+
+  const head = Math.ceil(limit / 2);
+  const tail = Math.floor(limit / 2);
+  const omitted = lines.length - head - tail;
+  return [
+    ...lines.slice(0, head),
+    `… ${omitted} ${omitted === 1 ? TEXTS.TERMINAL_OMITTED_ONE : TEXTS.TERMINAL_OMITTED} …`,
+    ...lines.slice(lines.length - tail),
+  ].join('\n');
+};
@@ -3,6 +3,8 @@
  * @description Optimized text transformation functions for markdown processing
  */
 
+import { trackFences } from './fences.js';
+
 /**
  * Composes functions from left to right (pipe pattern)
  * @param {...Function} fns - Functions to compose
@@ -14,7 +16,8 @@ export const compose = (...fns) => (value) => fns.reduce((acc, fn) => fn(acc), v
 /**
  * Line context object for single-pass transformations
  * @typedef {Object} LineContext
- * @property {boolean} inCodeBlock - Whether currently in a code block
+ * @property {boolean} inCodeBlock - Whether currently in a code block (fence lines included)
+ * @property {boolean} nextInCodeBlock - Whether the next line is in a code block
  * @property {number} index - Current line index
  * @property {string|undefined} prevLine - Previous line
  * @property {string|undefined} nextLine - Next line
@@ -31,21 +34,17 @@ export const compose = (...fns) => (value) => fns.reduce((acc, fn) => fn(acc), v
  */
 export const transformLines = (text, transformers) => {
   const lines = text.split('\n');
-  let inCodeBlock = false;
+  const fences = trackFences(lines);
 
   const result = lines.map((line, index) => {
     const trimmedLine = line.trim();
     const prevLine = index > 0 ? lines[index - 1] : '';
     const nextLine = index < lines.length - 1 ? lines[index + 1] : '';
 
-    // Track code blocks
-    if (trimmedLine.startsWith('```')) {
-      inCodeBlock = !inCodeBlock;
-    }
-
     // Build context object
     const context = {
-      inCodeBlock,
+      inCodeBlock: fences[index].inCode,
+      nextInCodeBlock: index < lines.length - 1 && fences[index + 1].inCode,
       index,
       prevLine,
       nextLine,
@@ -76,7 +75,8 @@ export const shiftHeadingLevel = (line, { inCodeBlock, trimmedLine }) => {
     const currentLevel = headingMatch[1].length;
     const headingText = headingMatch[2];
     const newLevel = Math.min(currentLevel + 1, 6);
-    return '#'.repeat(newLevel) + ' ' + headingText;
+    const indentation = line.slice(0, line.length - line.trimStart().length);
+    return indentation + '#'.repeat(newLevel) + ' ' + headingText;
   }
 
   return line;
@@ -88,7 +88,7 @@ export const shiftHeadingLevel = (line, { inCodeBlock, trimmedLine }) => {
  * @param {LineContext} context - Line context
  * @returns {string} Transformed line
  */
-export const addLineBreak = (line, { inCodeBlock, trimmedLine, nextTrimmed }) => {
+export const addLineBreak = (line, { inCodeBlock, nextInCodeBlock, trimmedLine, nextTrimmed }) => {
   if (inCodeBlock) return line;
 
   // Don't modify empty lines, headings, lists, tables, HTML comments, or indented lines
@@ -111,7 +111,7 @@ export const addLineBreak = (line, { inCodeBlock, trimmedLine, nextTrimmed }) =>
                               nextTrimmed.startsWith('* ') ||
                               nextTrimmed.match(/^\d+\. /) ||
                               nextTrimmed.includes('|') ||
-                              nextTrimmed.startsWith('```') ||
+                              nextInCodeBlock ||
                               nextTrimmed.startsWith('   ') ||
                               nextTrimmed.startsWith('\t');
 
@@ -190,10 +190,19 @@ export const cleanExcessiveLineBreaks = (text) => {
  */
 export const ensureMarkdownSpacing = (text) => {
   const lines = text.split('\n');
+  const fences = trackFences(lines);
   const result = [];
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
+    const { inCode, fence } = fences[i];
+
+    // Code is kept as-is, only an opening fence gets spacing
+    if (inCode && fence !== 'opening') {
+      result.push(line);
+      continue;
+    }
+
     const trimmedLine = line.trim();
     const prevLine = i > 0 ? lines[i - 1] : '';
     const prevTrimmed = prevLine.trim();
@@ -206,9 +215,10 @@ export const ensureMarkdownSpacing = (text) => {
     const prevIsListItem = /^[-*]\s/.test(prevTrimmed) || /^\d+\.\s/.test(prevTrimmed);
     const isListStart = isListItem && !prevIsListItem && prevTrimmed !== '';
 
-    // Detect code blocks (opening or closing)
-    const isCodeBlockMarker = trimmedLine.startsWith('```');
-    const prevIsCodeBlockMarker = prevTrimmed.startsWith('```');
+    // Detect code blocks (opening, or closing on the previous line); a blank
+    // line would end the blockquote holding a quoted fence
+    const isCodeBlockMarker = fence === 'opening' && !trimmedLine.startsWith('>');
+    const prevIsCodeBlockMarker = i > 0 && fences[i - 1].fence === 'closing';
 
     // Check if we're in a context that needs a double line break before
     const needsDoubleLineBreak = (isHeading || isListStart || isCodeBlockMarker) &&
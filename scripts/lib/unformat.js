@@ -0,0 +1,253 @@
+/**
+ * @file unformat.js
+ * @description Sections re-parsed from a formatted document brought back to
+ * the shape of raw sections (context references, action sequences, terminal
+ * commands), for the commands reading sessions: statistics, prompt catalog
+ * and dataset
+ */
+
+import { MARKERS } from './constants.js';
+import { LOCALES } from './i18n.js';
+import { matchFence, closesFence, fenceBlock } from './fences.js';
+import { compose, transformLines } from './transformers.js';
+
+// Context reference formatted as a code span (linked or not), and the raw prefix of each icon
+const FORMATTED_REFERENCE_PATTERN = /\[`(📄|📁|🔣) ([^`]+)`\]\([^)\s]*\)|`(📄|📁|🔣) ([^`]+)`|`🔎 selection`/gu;
+const REFERENCE_PREFIXES = { '📄': 'file', '📁': 'folder', '🔣': 'sym' };
+
+// Blockquote markers before the lines of a template (Obsidian callouts)
+const QUOTE_PREFIX_PATTERN = /^(?:> ?)+/;
+
+// Closing tag ending an action block template (`</details>`)
+const CLOSING_TAG_PATTERN = /^<\/\w+>$/;
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Joins the translations of a message into a regular expression alternative
+ * @param {string} key - TEXTS key
+ * @returns {string} Alternative of the escaped translations
+ */
+const translations = (key) => {
+  return [...new Set(Object.values(LOCALES).map(locale => locale.texts[key]))].map(escapeRegExp).join('|');
+};
+
+// Terminal command label, and output summary ("❌ Output (12 lines, exit code 1)"), in any language
+const TERMINAL_LABEL_PATTERN = new RegExp(`^(?:${translations('TERMINAL_COMMAND')}):?$`);
+const TERMINAL_SUMMARY_PATTERN = new RegExp(
+  `(?:${translations('TERMINAL_OUTPUT')}) \\(\\d+ (?:${translations('TERMINAL_LINES')}|${translations('TERMINAL_LINE')})` +
+  `(?:, (?:${translations('TERMINAL_EXIT_CODE')}) (-?\\d+))?\\)`
+);
+
+/**
+ * Removes the blockquote markers of a template line
+ * @param {string} line - Line
+ * @returns {string} Line without them
+ */
+const unquote = (line) => line.replace(QUOTE_PREFIX_PATTERN, '');
+
+/**
+ * Restores raw context references (`#file:src/app.js`) from their code spans
+ * @param {string} text - Formatted text
+ * @returns {string} Text
+ */
+const restoreContextReferences = (text) => {
+  return text.replace(FORMATTED_REFERENCE_PATTERN, (match, linkedIcon, linkedTarget, icon, target) => {
+    if (!linkedIcon && !icon) return '#selection';
+    return `#${REFERENCE_PREFIXES[linkedIcon || icon]}:${linkedTarget || target}`;
+  });
+};
+
+/**
+ * Removes the forced line breaks and heading shift of the formatted text
+ * (code blocks untouched)
+ * @param {boolean} shifted - Whether headings were shifted one level down
+ * @returns {function(string): string} Text transform
+ */
+const restoreLines = (shifted) => (text) => transformLines(text, [
+  (line, { inCodeBlock }) => (inCodeBlock ? line : line.replace(/ {2}$/, '')),
+  (line, { inCodeBlock }) => (inCodeBlock || !shifted ? line : line.replace(/^(\s*)#(#{1,5}\s)/, '$1$2')),
+]);
+
+/**
+ * Reads a fenced block starting on a line, blockquote markers removed
+ * @param {Array<string>} lines - Lines
+ * @param {number} index - Index of the opening fence
+ * @returns {{info: string, content: Array<string>, end: number}|null} Info string, content and
+ *   index of the closing fence, or null if the line opens no fence
+ */
+const readFence = (lines, index) => {
+  const fence = index < lines.length ? matchFence(unquote(lines[index])) : null;
+  if (!fence) return null;
+
+  let end = index + 1;
+  while (end < lines.length && !closesFence(unquote(lines[end]), fence)) end++;
+  return { info: fence.info, content: lines.slice(index + 1, end).map(unquote), end };
+};
+
+/**
+ * Skips blank lines
+ * @param {Array<string>} lines - Lines
+ * @param {number} index - Index of the first line
+ * @returns {number} Index of the first non-blank line
+ */
+const skipBlank = (lines, index) => {
+  let next = index;
+  while (next < lines.length && unquote(lines[next]).trim() === '') next++;
+  return next;
+};
+
+/**
+ * Reads the output rendered after a terminal command: its summary line,
+ * then its block, inside a collapsible section or a callout
+ * @param {Array<string>} lines - Lines
+ * @param {number} index - Index of the line after the command
+ * @returns {{output: string, exitCode: number|null, end: number}|null} Output, exit code and
+ *   index of its last line
+ */
+const readCommandOutput = (lines, index) => {
+  const start = skipBlank(lines, index);
+  const summary = start < lines.length ? unquote(lines[start]).match(TERMINAL_SUMMARY_PATTERN) : null;
+  if (!summary) return null;
+
+  const block = readFence(lines, skipBlank(lines, start + 1));
+  if (!block) return null;
+
+  const next = skipBlank(lines, block.end + 1);
+  const closed = next < lines.length && CLOSING_TAG_PATTERN.test(lines[next].trim());
+  return {
+    output: block.content.join('\n'),
+    exitCode: summary[1] === undefined ? null : Number(summary[1]),
+    end: closed ? next : block.end,
+  };
+};
+
+/**
+ * Reads a terminal command rendered by a built-in template: a labelled
+ * `bash` block, a `console` block whose line starts with `$`, or a `bash`
+ * block followed by an output
+ * @param {Array<string>} lines - Lines
+ * @param {number} index - Index of the first line
+ * @returns {{command: string, end: number}|null} Command and index of its last line
+ */
+const readCommand = (lines, index) => {
+  const label = unquote(lines[index])
+    .replace(/^\[![^\]]*\]-?\s*/, '')
+    .replace(/^[^\p{L}]+/u, '')
+    .replace(/\*/g, '')
+    .trim();
+  if (TERMINAL_LABEL_PATTERN.test(label)) {
+    const block = readFence(lines, skipBlank(lines, index + 1));
+    return block ? { command: block.content.join('\n'), end: block.end } : null;
+  }
+
+  const block = readFence(lines, index);
+  if (block?.info === 'console' && block.content.length === 1 && block.content[0].startsWith('$ ')) {
+    return { command: block.content[0].slice(2), end: block.end };
+  }
+  // An unlabelled `bash` block is a command only when its output follows it
+  if (block?.info === 'bash' && readCommandOutput(lines, block.end + 1)) {
+    return { command: block.content.join('\n'), end: block.end };
+  }
+  return null;
+};
+
+/**
+ * Restores raw terminal commands (`Ran terminal command:`, output block and
+ * exit status) from their templates
+ * @param {string} text - Formatted response text
+ * @returns {string} Text
+ */
+const restoreTerminalCommands = (text) => {
+  const lines = text.split('\n');
+  const restored = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    const command = readCommand(lines, index);
+    if (!command) {
+      restored.push(lines[index]);
+      continue;
+    }
+
+    restored.push(`Ran terminal command: ${command.command}`);
+    index = command.end;
+    const output = readCommandOutput(lines, index + 1);
+    if (output) {
+      restored.push(fenceBlock(output.output));
+      if (output.exitCode !== null) restored.push(`Command exited with code ${output.exitCode}`);
+      index = output.end;
+    }
+  }
+
+  return restored.join('\n');
+};
+
+/**
+ * Sets the action blocks of a formatted response aside: each one becomes an
+ * action placeholder, and its items the action sequence (edit diffs left out)
+ * @param {string} text - Formatted response text
+ * @returns {{text: string, actions: Array<{type: string, content: Array<string>}>}} Text with
+ *   `__ACTION_PLACEHOLDER_n__` lines, and the action sequences
+ */
+const extractActionBlocks = (text) => {
+  const lines = text.split('\n');
+  const kept = [];
+  const actions = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    if (unquote(lines[index]) !== MARKERS.AGENT_ACTION) {
+      kept.push(lines[index]);
+      continue;
+    }
+
+    const items = [];
+    let end = index + 1;
+    for (; end < lines.length; end++) {
+      const line = unquote(lines[end]);
+      if (line.startsWith('- ')) {
+        items.push(line.slice(2));
+      } else if (items.length > 0 && line.trim() !== '' && !/^\s/.test(line)) {
+        // The block ends with its closing tag, or before the text after it
+        if (!CLOSING_TAG_PATTERN.test(line.trim())) end--;
+        break;
+      }
+    }
+
+    kept.push(`__ACTION_PLACEHOLDER_${actions.length}__`);
+    actions.push({ type: 'agent-action', content: items });
+    index = end;
+  }
+
+  return { text: kept.join('\n'), actions };
+};
+
+/**
+ * Brings sections re-parsed from a formatted document back to the shape of
+ * raw sections: prompts with their raw context references and line breaks,
+ * responses with their action sequences and terminal commands. Other
+ * sections are returned unchanged.
+ * @param {Array} sections - Merged sections (see `analyzeSession()`)
+ * @returns {Array} Sections
+ */
+export const unformatSections = (sections) => {
+  return sections.map(section => {
+    if (!section.preformatted) return section;
+    const { preformatted, ...rest } = section;
+    const text = [].concat(section.content || []).join('\n');
+
+    if (section.type === 'user-prompt') {
+      return { ...rest, content: [compose(restoreContextReferences, restoreLines(false))(text)] };
+    }
+    if (section.type === 'agent-response') {
+      const { text: body, actions } = extractActionBlocks(text);
+      const content = compose(restoreTerminalCommands, restoreContextReferences, restoreLines(true))(body);
+      return { ...rest, content: [content], actions };
+    }
+    return rest;
+  });
+};
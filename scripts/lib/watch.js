@@ -0,0 +1,151 @@
+/**
+ * @file watch.js
+ * @description Watch mode: formats raw sessions as they are saved in a directory
+ */
+
+import { watch, readFileSync, readdirSync } from 'fs';
+import { join, resolve } from 'path';
+import { MARKERS, TEXTS } from './constants.js';
+import { isAlreadyProcessed, splitRawTail } from './parsers.js';
+import { isDirectory, isSessionFile, batchOutputPath, processFile } from './batch.js';
+import { FileAccessError } from './errors.js';
+
+// Quiet period after the last change of a file before it is processed
+const WATCH_DEBOUNCE_MS = 300;
+
+// Directories never watched: hidden ones (.git) and dependencies
+const IGNORED_DIRECTORY_PATTERN = /^(?:\..*|node_modules)$/;
+
+/** @type {import('./format.js').Logger} */
+const SILENT_LOGGER = { log: () => {}, warn: () => {} };
+
+/**
+ * Reads a file, or returns null if it vanished or cannot be read
+ * @param {string} filePath - File path
+ * @returns {string|null} File content or null
+ */
+const readIfPresent = (filePath) => {
+  try {
+    return readFileSync(filePath, 'utf-8');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Watches a directory and its subdirectories (hidden ones and node_modules
+ * excepted) and formats raw session files once their writes settle. Formatted files and the watcher's own outputs are ignored, so
+ * formatting in place does not loop; errors are logged and watching goes on.
+ * @param {string} dir - Directory to watch
+ * @param {object} [options] - Watch options
+ * @param {string} [options.outDir] - Output directory (files are formatted in place if omitted)
+ * @param {string} [options.format='markdown'] - Output format
+ * @param {number} [options.debounceMs=300] - Quiet period before processing a changed file
+ * @param {import('./format.js').Logger} [options.logger] - Receives one line per file (silent by default)
+ * @param {object} [options.formatOptions] - Other options passed to `format()` (profile, redaction...)
+ * @returns {{close: Function}} Handle stopping the watch
+ * @throws {FileAccessError} If the directory does not exist
+ */
+export const watchSessions = (dir, {
+  outDir,
+  format: outputFormat = 'markdown',
+  debounceMs = WATCH_DEBOUNCE_MS,
+  logger = SILENT_LOGGER,
+  formatOptions = {},
+} = {}) => {
+  if (!isDirectory(dir)) {
+    throw new FileAccessError(`Directory not found: ${dir}`, dir);
+  }
+
+  const timers = new Map();
+  // Content last written to each output, to recognize our own writes
+  const written = new Map();
+
+  const processChange = (filePath) => {
+    timers.delete(filePath);
+
+    const content = readIfPresent(filePath);
+    if (content === null || !content.trim()) return;
+    if (content.includes(MARKERS.INDEX)) return;
+    if (isAlreadyProcessed(content) && !splitRawTail(content).tail) return;
+    if (written.get(resolve(filePath)) === content) return;
+
+    const outputFile = batchOutputPath(filePath, { baseDir: dir, outDir, format: outputFormat });
+    const result = processFile(filePath, outputFile, {
+      format: outputFormat,
+      logger,
+      formatOptions,
+    });
+    if (result?.status === 'formatted') {
+      written.set(resolve(outputFile), readIfPresent(outputFile));
+    }
+  };
+
+  // One watcher per directory: recursive watching is unavailable on Linux before Node 20
+  const watchers = new Map();
+
+  /**
+   * Processes a session file once its writes settle
+   * @param {string} filePath - Session file
+   */
+  const schedule = (filePath) => {
+    clearTimeout(timers.get(filePath));
+    timers.set(filePath, setTimeout(() => processChange(filePath), debounceMs));
+  };
+
+  /**
+   * Watches a directory and its subdirectories, new ones included
+   * @param {string} target - Directory
+   * @param {boolean} [created=false] - New directory: the session files already in it are processed
+   */
+  const watchTree = (target, created = false) => {
+    if (watchers.has(target)) return;
+
+    let watcher;
+    try {
+      watcher = watch(target, (eventType, filename) => {
+        if (!filename) return;
+        const filePath = join(target, filename);
+        if (!IGNORED_DIRECTORY_PATTERN.test(filename) && isDirectory(filePath)) {
+          watchTree(filePath, true);
+        } else if (isSessionFile(filename)) {
+          schedule(filePath);
+        }
+      });
+    } catch (error) {
+      logger.warn(`${TEXTS.BATCH_FAILED} ${target}: ${error.message}`);
+      return;
+    }
+    watcher.on('error', (error) => {
+      // A removed directory stops its watcher
+      watcher.close();
+      watchers.delete(target);
+      if (target === dir) logger.warn(`${TEXTS.BATCH_FAILED} ${dir}: ${error.message}`);
+    });
+    watchers.set(target, watcher);
+
+    let entries = [];
+    try {
+      entries = readdirSync(target, { withFileTypes: true });
+    } catch {
+      // Removed since its event
+    }
+    entries.forEach(entry => {
+      if (entry.isDirectory() && !IGNORED_DIRECTORY_PATTERN.test(entry.name)) {
+        watchTree(join(target, entry.name), created);
+      } else if (created && entry.isFile() && isSessionFile(entry.name)) {
+        schedule(join(target, entry.name));
+      }
+    });
+  };
+  watchTree(dir);
+
+  return {
+    close: () => {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+    },
+  };
+};